@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const readline = require('readline')
+const stream = require('stream')
+const util = require('util')
+const { google } = require('googleapis')
+const Sheetbase = require('..')
+
+const pipeline = util.promisify(stream.pipeline)
+
+const USAGE = `Usage: sheetbase <command> [options]
+
+Commands:
+  auth                          Authorize with OAuth2 and write the token file
+  info                          Show spreadsheet file info
+  sheets                        List sheets
+  find <sheet> [query]          Find rows matched the JSON query
+  export [sheet] [query]        Export the sheet, or rows matched the JSON query (xlsx and ods export all sheets)
+  import <sheet> [file]         Import rows from the file or stdin
+
+Options:
+  --spreadsheet <id>            Spreadsheet id, or SHEETBASE_SPREADSHEET_ID
+  --credentials <file>          OAuth2 client credentials, default credentials.json
+  --token <file>                OAuth2 token, default token.json
+  --service-account <file>      Service account key instead of OAuth2
+  --api-key <key>               API key for read-only access
+  --local                       Receive the OAuth2 code with a local redirect (auth)
+  --port <port>                 Port of the local redirect, default random (auth)
+  --sort <json>                 Sort, such as '{"age":-1}' (find)
+  --limit <n>                   Limit rows (find)
+  --skip <n>                    Skip rows (find)
+  --format <format>             csv, tsv, json, ndjson, xlsx, ods, pdf, html or text (export), csv, tsv, json or ndjson (import)
+  --output <file>               Write to the file instead of stdout (export)
+  --mode <mode>                 append, replace or upsert (import)
+  --key <field>                 Key column to upsert by (import)
+`
+
+const COMMANDS = {
+  auth,
+  info,
+  sheets,
+  find,
+  export: exportSheet,
+  import: importSheet
+}
+
+/**
+ * Parse command line arguments
+ *
+ * @param {Array} argv
+ * @returns {Object} `{ _: [positional], [flag]: value }`
+ */
+function parseArgs (argv) {
+  const args = { _: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/)
+    if (!match) {
+      args._.push(arg)
+    } else if (match[2] !== undefined) {
+      args[match[1]] = match[2]
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[++i]
+    } else {
+      args[match[1]] = true
+    }
+  }
+  return args
+}
+
+/**
+ * Get Sheetbase options from arguments and environment
+ *
+ * @param {Object} args
+ */
+function getOptions (args) {
+  const env = process.env
+  const options = {
+    spreadsheetId: args.spreadsheet || env.SHEETBASE_SPREADSHEET_ID,
+    credentialsFile: path.resolve(args.credentials || env.SHEETBASE_CREDENTIALS || 'credentials.json'),
+    tokenFile: path.resolve(args.token || env.SHEETBASE_TOKEN || 'token.json')
+  }
+  const serviceAccountFile = args['service-account'] || env.SHEETBASE_SERVICE_ACCOUNT
+  const apiKey = args['api-key'] || env.SHEETBASE_API_KEY
+  if (serviceAccountFile) options.serviceAccountFile = path.resolve(serviceAccountFile)
+  if (apiKey) options.apiKey = apiKey
+  if (!options.spreadsheetId) throw new Error('spreadsheet is required, use --spreadsheet or SHEETBASE_SPREADSHEET_ID')
+  return options
+}
+
+function createSheetbase (args) {
+  return new Sheetbase(getOptions(args))
+}
+
+function parseJson (text, name) {
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`)
+  }
+}
+
+function print (data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n')
+}
+
+/**
+ * Walk through the OAuth2 consent flow and write the token file
+ *
+ * @param {Object} args
+ */
+async function auth (args) {
+  const credentialsFile = path.resolve(args.credentials || process.env.SHEETBASE_CREDENTIALS || 'credentials.json')
+  const tokenFile = path.resolve(args.token || process.env.SHEETBASE_TOKEN || 'token.json')
+  const credentials = JSON.parse(fs.readFileSync(credentialsFile))
+  const { client_secret, client_id } = credentials.installed || credentials.web || credentials // eslint-disable-line
+
+  const server = args.local ? await listen(Number(args.port) || 0) : null
+  const redirectUri = server ? `http://127.0.0.1:${server.address().port}` : 'http://localhost'
+  const client = new google.auth.OAuth2(client_id, client_secret, redirectUri)
+  const url = client.generateAuthUrl({ access_type: 'offline', prompt: 'consent', scope: Sheetbase.GoolgeApi.SCOPES })
+  console.error(`Authorize this app by visiting this url:\n\n${url}\n`)
+
+  let code
+  if (server) {
+    code = await waitForCode(server)
+  } else {
+    const answer = await prompt('Paste the code, or the url you were redirected to: ')
+    code = answer.includes('code=') ? new URL(answer).searchParams.get('code') : answer
+  }
+
+  const { tokens } = await client.getToken(code)
+  fs.writeFileSync(tokenFile, JSON.stringify(tokens, null, 2))
+  console.error(`Token stored to ${tokenFile}`)
+}
+
+function prompt (question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr })
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close()
+    resolve(answer.trim())
+  }))
+}
+
+function listen (port) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer()
+    server.on('error', reject)
+    server.listen(port, '127.0.0.1', () => resolve(server))
+  })
+}
+
+/**
+ * Wait for the OAuth2 redirect with the code
+ *
+ * @param {http.Server} server
+ */
+function waitForCode (server) {
+  return new Promise((resolve, reject) => {
+    server.on('request', (req, res) => {
+      const params = new URL(req.url, 'http://127.0.0.1').searchParams
+      const code = params.get('code')
+      const error = params.get('error')
+      if (!code && !error) {
+        res.writeHead(404)
+        return res.end()
+      }
+      res.end(code ? 'Authorized, you can close this page.' : `Authorization failed: ${error}`)
+      server.close()
+      return code ? resolve(code) : reject(new Error(`authorization failed: ${error}`))
+    })
+  })
+}
+
+async function info (args) {
+  print(await createSheetbase(args).info())
+}
+
+async function sheets (args) {
+  const spreadsheet = await createSheetbase(args).spreadsheet.load()
+  spreadsheet.sheets.forEach(sheet => {
+    process.stdout.write([sheet.index, sheet.id, sheet.title, `${sheet.rowCount}x${sheet.columnCount}`].join('\t') + '\n')
+  })
+}
+
+async function find (args) {
+  const [sheet, query] = args._
+  const options = {}
+  if (args.sort) options.sort = parseJson(args.sort, 'sort')
+  if (args.limit) options.limit = Number(args.limit)
+  if (args.skip) options.skip = Number(args.skip)
+  const data = await createSheetbase(args).sheet(sheet).find(query ? parseJson(query, 'query') : {}, options)
+  print(data)
+}
+
+async function exportSheet (args) {
+  const [sheet, query] = args._
+  const format = args.format || 'csv'
+  const sheetbase = createSheetbase(args)
+  const input = ['csv', 'tsv', 'json', 'ndjson'].includes(format)
+    ? await sheetbase.sheet(sheet).export({ format, query: query ? parseJson(query, 'query') : null, stream: true })
+    : await sheetbase.drive().exportFile({ format, sheet, stream: true })
+  // Resolve when the file is written, stdout is not ended
+  if (args.output) return pipeline(input, fs.createWriteStream(args.output))
+  await new Promise((resolve, reject) => {
+    input.on('error', reject)
+    process.stdout.on('error', reject)
+    input.pipe(process.stdout)
+    input.on('end', resolve)
+  })
+}
+
+async function importSheet (args) {
+  const [sheet, file] = args._
+  const format = args.format || (file && path.extname(file).slice(1)) || 'csv'
+  const source = file ? fs.createReadStream(file) : process.stdin
+  const options = args.key ? { key: args.key } : undefined
+  const result = await createSheetbase(args).sheet(sheet, options).import(source, { format, mode: args.mode })
+  console.error(`Imported ${result.insertedCount} inserted, ${result.updatedCount} updated, ${result.deletedCount} deleted`)
+}
+
+async function main () {
+  const args = parseArgs(process.argv.slice(2))
+  const command = COMMANDS[args._.shift()]
+  if (!command || args.help) {
+    process.stdout.write(USAGE)
+    return
+  }
+  await command(args)
+}
+
+main().catch(err => {
+  console.error(err.message)
+  process.exit(1)
+})
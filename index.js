@@ -1,6 +1,17 @@
 const Sheetbase =  require('./lib/sheetbase')
 
 Sheetbase.Spreadsheet = require('./lib/spreadsheet')
+Sheetbase.Batch = require('./lib/batch')
+Sheetbase.Drive = require('./lib/drive')
+Sheetbase.Cache = require('./lib/cache')
+Sheetbase.Schema = require('./lib/schema')
+Sheetbase.ValidationError = require('./lib/errors').ValidationError
+Sheetbase.DuplicateKeyError = require('./lib/errors').DuplicateKeyError
+Sheetbase.ConflictError = require('./lib/errors').ConflictError
 Sheetbase.GoolgeApi = require('./lib/googleapi')
+Sheetbase.Scheduler = require('./lib/scheduler')
+Sheetbase.Backend = require('./lib/backends/backend')
+Sheetbase.GoogleBackend = require('./lib/backends/google')
+Sheetbase.MemoryBackend = require('./lib/backends/memory')
 
 module.exports = Sheetbase
@@ -0,0 +1,207 @@
+/**
+ * Aggregation pipeline for a sheet
+ *
+ * @example
+ *  [
+ *    { $match: { status: 'published' } },
+ *    { $unwind: { path: '$tags', delimiter: ',' } },
+ *    { $group: { _id: '$tags', count: { $sum: 1 }, views: { $avg: '$views' } } },
+ *    { $sort: { count: -1 } },
+ *    { $limit: 10 }
+ *  ]
+ */
+class Aggregation {
+  constructor (sheet, pipeline) {
+    this.sheet = sheet
+    this.pipeline = pipeline || []
+    if (!Array.isArray(this.pipeline)) throw new Error('pipeline should be an array')
+  }
+
+  /**
+   * Run the pipeline with the rows
+   *
+   * @param {Array} data
+   */
+  async run (data) {
+    let result = data.slice()
+    for (const stage of this.pipeline) {
+      const keys = Object.keys(stage)
+      if (keys.length !== 1) throw new Error('pipeline stage should have one operator')
+      const op = keys[0]
+      const value = stage[op]
+      switch (op) {
+        case '$match':
+          result = result.filter(this.sheet.buildFilterFn(value))
+          break
+        case '$group':
+          result = this.group(result, value)
+          break
+        case '$sort': {
+          const sortFn = this.sheet.buildSortFn(value)
+          if (sortFn) result.sort(sortFn)
+          break
+        }
+        case '$project':
+          result = this.sheet.project(result, value)
+          break
+        case '$skip':
+          result = result.slice(value)
+          break
+        case '$limit':
+          result = result.slice(0, value)
+          break
+        case '$unwind':
+          result = this.unwind(result, value)
+          break
+        case '$lookup':
+          result = await this.lookup(result, value)
+          break
+        default:
+          throw new Error(`unsupported pipeline stage: ${op}`)
+      }
+    }
+    return result
+  }
+
+  /**
+   * Group rows by _id expression and accumulate fields
+   *
+   * @param {Array} data
+   * @param {Object} spec
+   */
+  group (data, spec) {
+    if (!('_id' in spec)) throw new Error('$group requires _id')
+    const fields = Object.keys(spec).filter(key => key !== '_id')
+    const groups = new Map()
+
+    data.forEach(item => {
+      const id = this.evaluate(spec._id, item)
+      const groupKey = JSON.stringify(id === undefined ? null : id)
+      if (!groups.has(groupKey)) groups.set(groupKey, { _id: id === undefined ? null : id, items: [] })
+      groups.get(groupKey).items.push(item)
+    })
+
+    return Array.from(groups.values()).map(({ _id, items }) => {
+      const result = { _id }
+      fields.forEach(field => {
+        const accumulator = spec[field]
+        const op = Object.keys(accumulator || {})[0]
+        result[field] = this.accumulate(op, accumulator[op], items)
+      })
+      return result
+    })
+  }
+
+  /**
+   * Accumulate values of grouped rows
+   *
+   * @param {String} op
+   * @param {Mixed} expression
+   * @param {Array} items
+   */
+  accumulate (op, expression, items) {
+    const values = items.map(item => this.evaluate(expression, item))
+    const numbers = values.map(value => this.sheet.toNumber(value)).filter(value => !isNaN(value))
+    const filled = values.filter(value => value !== undefined && value !== null && value !== '')
+
+    switch (op) {
+      case '$sum':
+        return numbers.reduce((sum, value) => sum + value, 0)
+      case '$avg':
+        return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null
+      case '$min':
+      case '$max': {
+        if (!filled.length) return null
+        const sortFn = (a, b) => this.sheet.compareValues(a, b)
+        const sorted = filled.slice().sort(sortFn)
+        return op === '$min' ? sorted[0] : sorted[sorted.length - 1]
+      }
+      case '$count':
+        return items.length
+      case '$push':
+        return values
+      case '$addToSet':
+        return values.filter((value, i) => values.findIndex(v => JSON.stringify(v) === JSON.stringify(value)) === i)
+      case '$first':
+        return values[0]
+      case '$last':
+        return values[values.length - 1]
+      default:
+        throw new Error(`unsupported accumulator: ${op}`)
+    }
+  }
+
+  /**
+   * Split delimited cells (or arrays) into a row for each value
+   *
+   * @param {Array} data
+   * @param {String|Object} spec `'$tags'` or `{ path: '$tags', delimiter: ',', preserveNullAndEmptyArrays: false }`
+   */
+  unwind (data, spec) {
+    const { path, delimiter = ',', preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec
+    const field = String(path).replace(/^\$/, '')
+    const result = []
+
+    data.forEach(item => {
+      const value = item[field]
+      let values = []
+      if (Array.isArray(value)) values = value
+      else if (value !== undefined && value !== null && value !== '') {
+        values = String(value).split(delimiter).map(v => v.trim()).filter(v => v !== '')
+      }
+
+      if (!values.length) {
+        if (preserveNullAndEmptyArrays) result.push({ ...item, [field]: null })
+        return
+      }
+      values.forEach(v => result.push({ ...item, [field]: v }))
+    })
+
+    return result
+  }
+
+  /**
+   * Join rows from another sheet in the same spreadsheet
+   *
+   * @param {Array} data
+   * @param {Object} spec `{ from, localField, foreignField, as }`
+   */
+  async lookup (data, spec) {
+    const { from, localField, foreignField, as } = spec || {}
+    if (from === undefined || !localField || !foreignField || !as) throw new Error('$lookup requires from, localField, foreignField and as')
+    const foreign = await this.sheet.sibling(from).findAll()
+    const index = new Map()
+    foreign.forEach(row => {
+      const key = this.sheet.toText(row[foreignField])
+      if (!index.has(key)) index.set(key, [])
+      index.get(key).push(row)
+    })
+
+    return data.map(item => ({ ...item, [as]: index.get(this.sheet.toText(item[localField])) || [] }))
+  }
+
+  /**
+   * Evaluate expression with the row
+   *
+   * @example
+   *  '$field' Value of the field
+   *  { year: '$year', month: '$month' } Composite value
+   *  1 Literal value
+   *
+   * @param {Mixed} expression
+   * @param {Object} item
+   */
+  evaluate (expression, item) {
+    if (typeof expression === 'string' && expression.charAt(0) === '$') return item[expression.slice(1)]
+    if (expression && typeof expression === 'object' && !Array.isArray(expression) && !(expression instanceof Date)) {
+      const result = {}
+      Object.keys(expression).forEach(key => {
+        result[key] = this.evaluate(expression[key], item)
+      })
+      return result
+    }
+    return expression
+  }
+}
+
+module.exports = Aggregation
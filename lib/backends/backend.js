@@ -0,0 +1,488 @@
+const locale = require('../locale')
+
+/**
+ * Base storage backend
+ *
+ * A backend stores spreadsheet data and has to implement `load`, `list`,
+ * `append`, `update`, `request` and `getFileInfo`, the other operations are
+ * built on top of `request` with the same semantics as Sheets batchUpdate.
+ */
+class Backend {
+  constructor (options) {
+    this.options = options || {}
+  }
+
+  /**
+   * Load full spreadsheet data
+   *
+   * @param {Object} options
+   */
+  async load (options) {
+    throw new Error('load is not implemented')
+  }
+
+  /**
+   * List rows of a sheet
+   *
+   * @param {Object} options
+   */
+  async list (options) {
+    throw new Error('list is not implemented')
+  }
+
+  /**
+   * Append rows after the last row of a sheet
+   *
+   * @param {Object} options
+   */
+  async append (options) {
+    throw new Error('append is not implemented')
+  }
+
+  /**
+   * Update rows with row no
+   *
+   * @param {Object} options
+   */
+  async update (options) {
+    throw new Error('update is not implemented')
+  }
+
+  /**
+   * Request batchUpdate for the spreadsheet
+   *
+   * @param {Object} options
+   */
+  async request (options) {
+    throw new Error('request is not implemented')
+  }
+
+  /**
+   * Get file info for spreadsheet
+   */
+  async getFileInfo () {
+    throw new Error('getFileInfo is not implemented')
+  }
+
+  /**
+   * Invalidate cached data of the sheets, or all if no sheet specified
+   *
+   * @param {Number|Array} sheetIds
+   */
+  invalidate (sheetIds) {}
+
+  /**
+   * Get sheet information
+   *
+   * @param {String|Number} id
+   */
+  async getSheet (id, options) {
+    const spreadsheet = await this.load(options)
+    if (!spreadsheet) throw new Error('sheet not found')
+    return this.matchSheet(spreadsheet.sheets, id)
+  }
+
+  /**
+   * Match sheet by gid, title or index
+   *
+   * @example
+   *  null is the sheet with gid 0 (or the first sheet)
+   *  small number like 0-10 is for sheet index if no gid matched
+   *  big number is for gid
+   *  string is for title
+   *
+   * @param {Array} sheets
+   * @param {String|Number} id
+   */
+  matchSheet (sheets, id) {
+    // id是gid或者sheet的title都可以匹配，优先gid
+    const selectedSheet = sheets.find(s => String(s.id) === String(id || 0) || s.title === id)
+    if (selectedSheet) return selectedSheet
+    const index = id === undefined || id === null ? 0 : id
+    if (typeof index === 'number' && index >= 0 && index < sheets.length) {
+      return sheets.find(s => s.index === index) || sheets[index]
+    }
+  }
+
+  async addSheet (options) {
+    const { title } = options
+    const result = await this.request({ requests: [{
+      addSheet: {
+        properties: {
+          title
+        }
+      }
+    }] })
+
+    const properties = result.replies[0].addSheet.properties
+
+    return {
+      id: properties.sheetId,
+      title: properties.title,
+      index: properties.index,
+      type: properties.sheetType,
+      rowCount: properties.gridProperties.rowCount,
+      columnCount: properties.gridProperties.columnCount
+    }
+  }
+
+  async deleteSheet (options) {
+    const { sheet } = options
+    const selectedSheet = await this.getSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+    return this.request({ requests: [{
+      deleteSheet: {
+        sheetId: selectedSheet.id
+      }
+    }] })
+  }
+
+  /**
+   * Support delete data
+   *
+   * Huge deletions are sent in batches, see "sendRequests", the ranges are
+   * processed from the bottom so every batch is still valid after the
+   * previous ones.
+   *
+   * @param {Object} options
+   *  - rows Row numbers, or `{ start, limit }`
+   *  - columns Column numbers, or `{ start, limit }`
+   *  - mode delete (default) or clear the values without shifting the rows and columns
+   *  - sheet
+   */
+  async delete (options) {
+    const { sheet } = options || {}
+    const selectedSheet = await this.getSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const { requests, result } = this.deleteRequests(selectedSheet.id, options)
+    await this.sendRequests(requests)
+
+    return result
+  }
+
+  /**
+   * Build requests to delete rows or columns, contiguous ones are deleted
+   * as a range from the bottom (right) to the top (left)
+   *
+   * @param {Number} sheetId
+   * @param {Object} options
+   *  - rows Row numbers, or `{ start, limit }`
+   *  - columns Column numbers, or `{ start, limit }`
+   *  - mode delete (default) or clear
+   * @returns {Object} `{ requests, result }`
+   */
+  deleteRequests (sheetId, options) {
+    const { rows, columns, mode = 'delete' } = options || {}
+    if (!['delete', 'clear'].includes(mode)) throw new Error(`mode "${mode}" is not supported`)
+    const requests = []
+    const result = { ok: 1, deletedRowsCount: 0, deletedColumnsCount: 0 }
+    if (mode === 'clear') {
+      result.clearedRowsCount = 0
+      result.clearedColumnsCount = 0
+    }
+
+    const build = (dimension, ranges) => ranges.forEach(({ startIndex, endIndex }) => {
+      if (mode === 'clear') {
+        const range = dimension === 'ROWS'
+          ? { sheetId, startRowIndex: startIndex, endRowIndex: endIndex }
+          : { sheetId, startColumnIndex: startIndex, endColumnIndex: endIndex }
+        requests.push({ updateCells: { range, fields: 'userEnteredValue' } })
+        result[dimension === 'ROWS' ? 'clearedRowsCount' : 'clearedColumnsCount'] += endIndex - startIndex
+      } else {
+        requests.push({ deleteDimension: { range: { sheetId, dimension, startIndex, endIndex } } })
+        result[dimension === 'ROWS' ? 'deletedRowsCount' : 'deletedColumnsCount'] += endIndex - startIndex
+      }
+    })
+
+    build('ROWS', this.toRanges(rows))
+    build('COLUMNS', this.toRanges(columns))
+    return { requests, result }
+  }
+
+  /**
+   * Get contiguous ranges of row or column numbers, from the bottom
+   *
+   * @example
+   *  [2, 3, 4, 8] => [{ startIndex: 7, endIndex: 8 }, { startIndex: 1, endIndex: 4 }]
+   *
+   * @param {Array|Object} numbers Row or column numbers, or `{ start, limit }`
+   * @returns {Array} Ranges of zero-based `startIndex` and exclusive `endIndex`
+   */
+  toRanges (numbers) {
+    if (!numbers) return []
+    if (!Array.isArray(numbers)) {
+      return numbers.start ? [{ startIndex: numbers.start - 1, endIndex: numbers.start + (numbers.limit || 1) - 1 }] : []
+    }
+
+    const sorted = Array.from(new Set(numbers.map(Number))).sort((a, b) => b - a)
+    const ranges = []
+    sorted.forEach(number => {
+      const last = ranges[ranges.length - 1]
+      if (last && last.startIndex === number) last.startIndex = number - 1
+      else ranges.push({ startIndex: number - 1, endIndex: number })
+    })
+    return ranges
+  }
+
+  /**
+   * Send requests in order, split into batches under the request size limit
+   *
+   * Only the requests of a batch are applied together, use "request" for
+   * requests which must be applied all or none.
+   *
+   * @param {Array} requests
+   * @param {Object} options
+   *  - batchSize Max requests in a batch, default `requestBatchSize` of the backend or 1000
+   *  - batchBytes Max JSON size of a batch, default `requestBatchBytes` of the backend or 2MB
+   * @returns {Array} Results of the batches
+   */
+  async sendRequests (requests, options) {
+    const {
+      batchSize = this.options.requestBatchSize || 1000,
+      batchBytes = this.options.requestBatchBytes || 2 * 1024 * 1024
+    } = options || {}
+    const results = []
+    let batch = []
+    let length = 0
+    for (const request of requests || []) {
+      const requestLength = Buffer.byteLength(JSON.stringify(request))
+      if (batch.length && (batch.length >= batchSize || length + requestLength > batchBytes)) {
+        results.push(await this.request({ requests: batch }))
+        batch = []
+        length = 0
+      }
+      batch.push(request)
+      length += requestLength
+    }
+    if (batch.length) results.push(await this.request({ requests: batch }))
+    return results
+  }
+
+  /**
+   * Expand the spreadsheet
+   *
+   * @param {Object} options
+   */
+  async expand (options) {
+    const requests = this.expandRequests(options)
+    let ret
+
+    if (requests.length) {
+      ret = await this.request({ requests })
+    }
+
+    return ret
+  }
+
+  /**
+   * Build requests to append rows or columns
+   *
+   * @param {Object} options
+   *  - rows Rows to append
+   *  - columns Columns to append
+   *  - sheetId
+   */
+  expandRequests (options) {
+    const { rows, columns, sheetId } = options || {}
+    const requests = []
+
+    if (rows) {
+      requests.push({
+        appendDimension: {
+          sheetId,
+          dimension: 'ROWS',
+          length: rows
+        }
+      })
+    }
+
+    if (columns) {
+      requests.push({
+        appendDimension: {
+          sheetId,
+          dimension: 'COLUMNS',
+          length: columns
+        }
+      })
+    }
+
+    return requests
+  }
+
+  /**
+   * Render cell for the list
+   *
+   * @param {Object} cell
+   * @param {String} render
+   *  - text Formatted text
+   *  - value Unformatted effective value
+   *  - formula Formula if any, otherwise the value
+   *  - cell Cell object with text, value, formula, note and hyperlink
+   */
+  renderCell (cell, render) {
+    if (!cell) return null
+    switch (render || 'text') {
+      case 'text':
+        return cell.text
+      case 'value':
+        return cell.value
+      case 'formula':
+        return cell.formula || cell.value
+      case 'cell':
+        return { ...cell }
+      default:
+        throw new Error(`render "${render}" is not supported`)
+    }
+  }
+
+  /**
+   * Get the value input option and escape the values in safe mode
+   *
+   * Safe mode prefixes strings beginning with `=`, `+`, `-` or `@` with `'`,
+   * so untrusted input is not evaluated as formula with USER_ENTERED.
+   *
+   * @param {Array} values Lines to write
+   * @param {Object} options
+   *  - valueInputOption RAW or USER_ENTERED (default)
+   *  - safe Escape formulas
+   */
+  inputValues (values, options) {
+    const { valueInputOption = this.options.valueInputOption || 'USER_ENTERED', safe = this.options.safe } = options || {}
+    if (!['RAW', 'USER_ENTERED'].includes(valueInputOption)) throw new Error(`valueInputOption "${valueInputOption}" is not supported`)
+    if (safe && valueInputOption === 'USER_ENTERED') {
+      values = values.map(value => Array.from(value, v => this.escapeValue(v)))
+    }
+    return { valueInputOption, values }
+  }
+
+  /**
+   * Escape string which would be evaluated as formula
+   *
+   * @param {Mixed} value
+   */
+  escapeValue (value) {
+    return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value
+  }
+
+  /**
+   * Convert value to cell data of updateCells request
+   *
+   * USER_ENTERED strings are typed such as Sheets parses them with the
+   * spreadsheet locale, see "locale.parseEntered": formulas, booleans,
+   * numbers such as `1,234`, percents and dates with their number format, a
+   * leading `'` forces text.
+   *
+   * @param {Mixed} value
+   * @param {Object} options
+   *  - valueInputOption RAW or USER_ENTERED (default)
+   *  - safe Escape formulas
+   *  - locale Locale of the spreadsheet, such as `en_US`
+   */
+  toCellData (value, options) {
+    const { valueInputOption, values } = this.inputValues([[value]], options)
+    value = values[0][0]
+    if (value === undefined || value === null || value === '') return {}
+    if (typeof value === 'number') return { userEnteredValue: { numberValue: value } }
+    if (typeof value === 'boolean') return { userEnteredValue: { boolValue: value } }
+    if (valueInputOption !== 'USER_ENTERED') return { userEnteredValue: { stringValue: String(value) } }
+
+    const parsed = locale.parseEntered(String(value), locale.getFormat((options || {}).locale))
+    if (parsed.formula) return { userEnteredValue: { formulaValue: parsed.formula } }
+    if (parsed.value === '') return {}
+    const type = { number: 'numberValue', boolean: 'boolValue' }[typeof parsed.value] || 'stringValue'
+    const cell = { userEnteredValue: { [type]: parsed.value } }
+    if (parsed.format) cell.userEnteredFormat = { numberFormat: parsed.format }
+    return cell
+  }
+
+  /**
+   * Build updateCells requests to write cell data
+   *
+   * The values are written by one request, the number formats of parsed
+   * dates and percents are set by repeatCell requests for each run of rows
+   * in a column, so the formats of the other cells are kept.
+   *
+   * @param {Object} target `{ start }` or `{ range }` of updateCells, cells of the range not in the rows are cleared
+   * @param {Array} rows Lines of cell data, see "toCellData"
+   */
+  cellRequests (target, rows) {
+    const { sheetId, rowIndex = 0, columnIndex = 0 } = target.start || {
+      sheetId: target.range.sheetId,
+      rowIndex: target.range.startRowIndex,
+      columnIndex: target.range.startColumnIndex
+    }
+    const requests = [{
+      updateCells: {
+        ...target,
+        rows: rows.map(cells => ({ values: cells.map(cell => cell.userEnteredValue ? { userEnteredValue: cell.userEnteredValue } : {}) })),
+        fields: 'userEnteredValue'
+      }
+    }]
+
+    const columns = new Map()
+    rows.forEach((cells, i) => cells.forEach((cell, j) => {
+      const numberFormat = cell.userEnteredFormat && cell.userEnteredFormat.numberFormat
+      if (!numberFormat) return
+      const runs = columns.get(j) || columns.set(j, []).get(j)
+      const last = runs[runs.length - 1]
+      if (last && last.end === i && JSON.stringify(last.numberFormat) === JSON.stringify(numberFormat)) last.end = i + 1
+      else runs.push({ start: i, end: i + 1, numberFormat })
+    }))
+    columns.forEach((runs, j) => runs.forEach(run => requests.push({
+      repeatCell: {
+        range: {
+          sheetId,
+          startRowIndex: rowIndex + run.start,
+          endRowIndex: rowIndex + run.end,
+          startColumnIndex: columnIndex + j,
+          endColumnIndex: columnIndex + j + 1
+        },
+        cell: { userEnteredFormat: { numberFormat: run.numberFormat } },
+        fields: 'userEnteredFormat.numberFormat'
+      }
+    })))
+    return requests
+  }
+
+  /**
+   * Convert data to line
+   *
+   * @example
+   *  {A: 'text', B: 'text2'}
+   *  ['text', 'text2']
+   *  {1: 'text', 2: 'text2'}
+   *
+   * @param {Object} data
+   */
+  dataToValue (data) {
+    if (Array.isArray(data)) return data
+    if (typeof data !== 'object') return []
+    const line = []
+    Object.keys(data).forEach(key => {
+      let index = null
+      if (/^[A-Z]+$/.test(key)) index = this.columnLetterToIndex(key) - 1
+      else if (typeof key === 'number' || /^[0-9]+$/.test(key)) index = parseInt(key) - 1
+      if (index === null) return
+      line[index] = data[key]
+    })
+
+    return line
+  }
+
+  /**
+   * Convert column letter to index
+   *
+   * @param {String} letter
+   */
+  columnLetterToIndex (letter) {
+    let column = 0
+    let length = letter.length
+    for (let i = 0; i < length; i++) {
+      column += (letter.charCodeAt(i) - 64) * Math.pow(26, length - i - 1)
+    }
+    return column
+  }
+}
+
+module.exports = Backend
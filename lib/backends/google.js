@@ -0,0 +1,512 @@
+const Backend = require('./backend')
+const Cache = require('../cache')
+const GoogleApi = require('../googleapi')
+
+const CELL_FIELDS = 'formattedValue,userEnteredValue,effectiveValue,note,hyperlink,effectiveFormat/numberFormat'
+const DATE_TYPES = ['DATE', 'TIME', 'DATE_TIME']
+// Requests changing the sheets of the spreadsheet
+const SHEET_REQUESTS = ['addSheet', 'deleteSheet', 'duplicateSheet', 'updateSheetProperties', 'updateSpreadsheetProperties']
+
+/**
+ * Google Sheets backend
+ */
+class GoogleBackend extends Backend {
+  constructor (options) {
+    super(options)
+    if (!this.options.spreadsheetId) throw new Error('spreadsheet is not found')
+    this.api = new GoogleApi(this.options)
+    this.cache = Cache.from(this.options.cache)
+  }
+
+  /**
+   * Get spreadsheet information
+   *
+   * Only the metadata of the sheets is fetched, rows are fetched on demand by
+   * `list`. Data is cached by the `cache` option, the sheets written since are
+   * refetched while the data is fresh.
+   *
+   * @param {Object} options
+   *  - values Include values of all the sheets (as cells)
+   */
+  async load (options) {
+    const { values = false } = options || {}
+    const entry = await this.loadEntry()
+    if (!entry) return
+    if (!values) return entry.data
+
+    const sheets = []
+    for (const sheet of entry.data.sheets) {
+      const rows = await this.getRows(entry, sheet, 1, sheet.rowCount, 'cell')
+      sheets.push({ ...sheet, values: this.trimRows(rows) })
+    }
+    return { ...entry.data, sheets }
+  }
+
+  /**
+   * Get the cache entry of the spreadsheet, fetched if expired
+   *
+   * The entry is used as-is after it is got, as the cache may be invalidated
+   * while the rows are fetched.
+   */
+  async loadEntry () {
+    const id = this.options.spreadsheetId
+    let entry = this.cache.get(id)
+
+    try {
+      if (!entry || this.cache.state(entry) === 'expired') {
+        entry = await this.cache.once(id, () => this.fetch())
+      } else if (this.cache.state(entry) === 'stale') {
+        this.cache.once(id, () => this.fetch()).catch(err => console.error('revalidate spreadsheet failed:', err))
+      }
+      if (entry.dirty.size) {
+        entry = await this.cache.once(`${id}:dirty`, () => this.fetchSheets(entry))
+      }
+    } catch (err) {
+      console.error('get file info failed:', err)
+    }
+    return entry
+  }
+
+  /**
+   * Fetch the spreadsheet metadata to the cache
+   *
+   * With `checkVersion`, the cached data is kept if the Drive file version is not changed.
+   */
+  async fetch () {
+    const id = this.options.spreadsheetId
+    const entry = this.cache.get(id)
+    let version
+
+    if (this.cache.options.checkVersion) {
+      const info = await this.api.call('drive.files.get', { fileId: id, fields: 'version' })
+      version = info && info.version
+      if (entry && entry.version && entry.version === version && !entry.dirty.size) return this.cache.touch(entry)
+    }
+
+    const data = await this.fetchMetadata()
+    return this.cache.set(id, data, version)
+  }
+
+  /**
+   * Refetch the metadata and drop the rows of the sheets written since cached
+   *
+   * @param {Object} entry
+   */
+  async fetchSheets (entry) {
+    const sheetIds = Array.from(entry.dirty)
+    entry.data = await this.fetchMetadata()
+    entry.rows.forEach((rows, key) => {
+      if (sheetIds.includes(rows.sheetId)) entry.rows.delete(key)
+    })
+    sheetIds.forEach(sheetId => entry.dirty.delete(sheetId))
+    return entry
+  }
+
+  /**
+   * Fetch properties of the spreadsheet and the sheets
+   */
+  async fetchMetadata () {
+    const result = await this.api.call('spreadsheets.get', {
+      spreadsheetId: this.options.spreadsheetId,
+      fields: 'spreadsheetId,spreadsheetUrl,properties(title,locale,timeZone),sheets(properties)'
+    })
+
+    if (!result || !result.sheets) throw new Error('can not get spreadsheet')
+
+    return {
+      id: result.spreadsheetId,
+      url: result.spreadsheetUrl,
+      title: result.properties.title,
+      locale: result.properties.locale,
+      timezone: result.properties.timeZone,
+      sheets: result.sheets.map(sheet => this.parseSheet(sheet))
+    }
+  }
+
+  /**
+   * Parse sheet properties of the spreadsheet
+   *
+   * @param {Object} sheet
+   */
+  parseSheet (sheet) {
+    const properties = sheet.properties
+    return {
+      id: properties.sheetId,
+      title: properties.title,
+      index: properties.index,
+      type: properties.sheetType,
+      rowCount: properties.gridProperties.rowCount,
+      columnCount: properties.gridProperties.columnCount
+    }
+  }
+
+  /**
+   * Get rows of the sheet from the cache, fetch the missing ranges
+   *
+   * Texts are fetched with values.batchGet, other renders need the grid data.
+   *
+   * @param {Object} entry Cache entry
+   * @param {Object} sheet
+   * @param {Number} start
+   * @param {Number} end
+   * @param {String} render text or cell
+   */
+  async getRows (entry, sheet, start, end, render) {
+    const key = `${sheet.id}:${render}`
+    let store = entry.rows.get(key)
+    if (!store) {
+      store = { sheetId: sheet.id, rows: [], ranges: [] }
+      entry.rows.set(key, store)
+    }
+
+    const missing = this.missingRanges(store.ranges, start, end)
+    if (missing.length) {
+      const fetched = await this.fetchRows(sheet, missing, render)
+      missing.forEach(([from, to], i) => {
+        for (let row = from; row <= to; row++) store.rows[row - 1] = fetched[i][row - from] || []
+      })
+      store.ranges = this.mergeRanges(store.ranges.concat(missing))
+    }
+
+    return store.rows.slice(start - 1, end)
+  }
+
+  /**
+   * Fetch row ranges of the sheet
+   *
+   * @param {Object} sheet
+   * @param {Array} ranges [[start, end]] row numbers
+   * @param {String} render text or cell
+   */
+  async fetchRows (sheet, ranges, render) {
+    const a1 = ranges.map(([start, end]) => `'${sheet.title}'!${start}:${end}`)
+
+    if (render === 'text') {
+      const result = await this.api.call('spreadsheets.values.batchGet', {
+        spreadsheetId: this.options.spreadsheetId,
+        ranges: a1,
+        majorDimension: 'ROWS',
+        valueRenderOption: 'FORMATTED_VALUE',
+        fields: 'valueRanges(values)'
+      })
+      const valueRanges = (result && result.valueRanges) || []
+      return ranges.map((range, i) => (valueRanges[i] && valueRanges[i].values) || [])
+    }
+
+    const result = await this.api.call('spreadsheets.get', {
+      spreadsheetId: this.options.spreadsheetId,
+      ranges: a1,
+      includeGridData: true,
+      fields: `sheets(data(startRow,rowData(values(${CELL_FIELDS}))))`
+    })
+    const data = (result && result.sheets && result.sheets[0] && result.sheets[0].data) || []
+    return ranges.map(([start], i) => {
+      const grid = data.find(d => (d.startRow || 0) === start - 1) || data[i]
+      return grid && grid.rowData ? this.parseRowData(grid.rowData) : []
+    })
+  }
+
+  /**
+   * Get ranges not covered by the loaded ranges
+   *
+   * @param {Array} ranges [[start, end]] sorted and merged
+   * @param {Number} start
+   * @param {Number} end
+   */
+  missingRanges (ranges, start, end) {
+    const missing = []
+    let from = start
+    ranges.forEach(([s, e]) => {
+      if (e < from || s > end) return
+      if (s > from) missing.push([from, s - 1])
+      from = Math.max(from, e + 1)
+    })
+    if (from <= end) missing.push([from, end])
+    return missing
+  }
+
+  /**
+   * Merge overlapping and adjacent ranges
+   *
+   * @param {Array} ranges
+   */
+  mergeRanges (ranges) {
+    const merged = []
+    ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([s, e]) => {
+      const last = merged[merged.length - 1]
+      if (last && s <= last[1] + 1) last[1] = Math.max(last[1], e)
+      else merged.push([s, e])
+    })
+    return merged
+  }
+
+  /**
+   * Remove empty rows at the end
+   *
+   * @param {Array} rows
+   */
+  trimRows (rows) {
+    let length = rows.length
+    while (length > 0 && !(rows[length - 1] || []).some(v => v !== null && v !== undefined && v !== '')) length--
+    return rows.slice(0, length)
+  }
+
+  /**
+   * Invalidate cached data of the sheets, or all if no sheet specified
+   *
+   * @param {Number|Array} sheetIds
+   */
+  invalidate (sheetIds) {
+    this.cache.invalidate(this.options.spreadsheetId, sheetIds)
+  }
+
+  /**
+   * Parse row data of grid data to cells
+   *
+   * @param {Array} rowData
+   */
+  parseRowData (rowData) {
+    return rowData.map(row => {
+      if (!row.values) {
+        return []
+      }
+      return row.values.map(item => this.parseCell(item))
+    })
+  }
+
+  /**
+   * Parse grid cell
+   *
+   * @example
+   *  { text: '$1.50', value: 1.5, formula: '=A1*2', note: 'price', hyperlink: 'https://...' }
+   *
+   * @param {Object} item
+   */
+  parseCell (item) {
+    if (!item.userEnteredValue && !item.note && !item.hyperlink) return null
+    const effective = item.effectiveValue || {}
+    const format = item.effectiveFormat && item.effectiveFormat.numberFormat
+    const cell = { text: item.formattedValue }
+
+    if (effective.numberValue !== undefined) {
+      cell.value = format && DATE_TYPES.includes(format.type) ? this.serialToDate(effective.numberValue) : effective.numberValue
+    } else if (effective.boolValue !== undefined) {
+      cell.value = effective.boolValue
+    } else if (effective.stringValue !== undefined) {
+      cell.value = effective.stringValue
+    } else {
+      cell.value = item.formattedValue
+    }
+    if (item.userEnteredValue && item.userEnteredValue.formulaValue) cell.formula = item.userEnteredValue.formulaValue
+    if (item.note) cell.note = item.note
+    if (item.hyperlink) cell.hyperlink = item.hyperlink
+    return cell
+  }
+
+  /**
+   * Convert date serial number to date, the wall time of the spreadsheet timezone as UTC
+   *
+   * @param {Number} serial Days since 1899-12-30
+   */
+  serialToDate (serial) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000))
+  }
+
+  /**
+   * List spreadsheets
+   *
+   * Only the rows from `start` to `start + limit - 1` are fetched (and cached).
+   *
+   * @param {Object} options
+   *  - render text (default), value, formula or cell
+   *  - fresh Fetch without the cache
+   */
+  async list (options) {
+    const { limit = 2000000, start = 1, sheet, fresh = false, render = 'text' } = options || {}
+    const entry = await this.loadEntry()
+    const selectedSheet = entry && this.matchSheet(entry.data.sheets, sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const end = Math.min(start + limit - 1, selectedSheet.rowCount)
+    if (start > end) return []
+
+    const type = render === 'text' ? 'text' : 'cell'
+    let rows
+    if (fresh) {
+      rows = (await this.fetchRows(selectedSheet, [[start, end]], type))[0]
+    } else {
+      rows = await this.getRows(entry, selectedSheet, start, end, type)
+    }
+
+    rows = this.trimRows(rows)
+    return type === 'text' ? rows.map(row => row.slice()) : rows.map(row => row.map(cell => this.renderCell(cell, render)))
+  }
+
+  /**
+   * Append data to next availabel row
+   *
+   * @param {Object} options
+   */
+  async append (options) {
+    const { data, sheet } = options || {}
+    const selectedSheet = await this.getSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const items = typeof data === 'object' && typeof data[0] !== 'object' ? [data] : data
+    const { valueInputOption, values } = this.inputValues(items.map(item => this.dataToValue(item)), options)
+
+    const result = await this.api.call('spreadsheets.values.append', {
+      spreadsheetId: this.options.spreadsheetId,
+      range: `'${selectedSheet.title}'!A:ZZ`,
+      insertDataOption: 'INSERT_ROWS',
+      valueInputOption,
+      resource: {
+        range: `'${selectedSheet.title}'!A:ZZ`,
+        majorDimension: 'ROWS',
+        values
+      }
+    })
+
+    const matched = result.updates.updatedRange.match(/^'([\S\s]+?)'!([A-Z]+)(\d+):([A-Z]+)(\d+)$/)
+    const startRow = parseInt(matched[3])
+    const endRow = parseInt(matched[5])
+    const columnNo = this.columnLetterToIndex(matched[4])
+
+    /**
+     * Fix append not start with column A
+     */
+    if (matched[2] !== 'A') {
+      await this.api.call('spreadsheets.values.batchUpdate', {
+        spreadsheetId: this.options.spreadsheetId,
+        resource: {
+          valueInputOption,
+          data: [{
+            range: `'${selectedSheet.title}'!A${startRow}:ZZ${endRow}`,
+            majorDimension: 'ROWS',
+            values: values.map(value => value.concat(new Array(columnNo - value.length).fill('')))
+          }]
+        }
+      })
+    }
+
+    this.invalidate(selectedSheet.id)
+
+    return {
+      spreadsheetId: result.updates.spreadsheetId,
+      sheet: matched[1],
+      startRow,
+      endRow,
+      insertedRows: result.updates.updatedRows
+    }
+  }
+
+  /**
+   * Update sheet
+   *
+   * @param {Object} options
+   */
+  async update (options) {
+    const { data: update, sheet, upsert = true } = options || {}
+    const result = { updatedRows: 0 }
+    if (!update) return result
+    const selectedSheet = await this.getSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const sheetTitle = selectedSheet.title
+    const updateRows = !Array.isArray(update) ? Object.keys(update).map(key => ({ row: parseInt(key), data: update[key] })) : update
+
+    const { valueInputOption, values } = this.inputValues(updateRows.map(item => this.dataToValue(item.data)), options)
+
+    let addRows = 0
+    let addColumns = 0
+    const data = updateRows.map((item, i) => {
+      if (item.row > selectedSheet.rowCount && item.row - selectedSheet.rowCount > addRows) {
+        addRows = item.row - selectedSheet.rowCount
+      }
+      const value = values[i]
+      if (value.length > selectedSheet.columnCount && value.length - selectedSheet.columnCount > addColumns) {
+        addColumns = value.length - selectedSheet.columnCount
+      }
+
+      return {
+        range: `'${sheetTitle}'!A${item.row}:ZZ${item.row}`,
+        majorDimension: 'ROWS',
+        values: [ value ]
+      }
+    })
+    result.updatedRows += data.length
+
+    if (upsert) {
+      await this.expand({ rows: addRows, columns: addColumns, sheetId: selectedSheet.id })
+    }
+
+    await this.api.call('spreadsheets.values.batchUpdate', {
+      spreadsheetId: this.options.spreadsheetId,
+      resource: {
+        valueInputOption,
+        data
+      }
+    })
+
+    this.invalidate(selectedSheet.id)
+
+    return result
+  }
+
+  /**
+   * Request batchUpdate for a spreadsheet
+   *
+   * @param {Object} options
+   */
+  async request (options) {
+    const { requests } = options || {}
+    const result = await this.api.call('spreadsheets.batchUpdate', {
+      spreadsheetId: this.options.spreadsheetId,
+      resource: { requests }
+    })
+
+    this.invalidate(this.requestSheetIds(requests))
+
+    return result
+  }
+
+  /**
+   * Get sheet ids changed by the requests, undefined if the spreadsheet is changed
+   *
+   * @param {Array} requests
+   */
+  requestSheetIds (requests) {
+    const sheetIds = []
+    const find = value => {
+      if (!value || typeof value !== 'object') return
+      Object.keys(value).forEach(key => {
+        if (key === 'sheetId') sheetIds.push(value[key])
+        else find(value[key])
+      })
+    }
+
+    for (const request of requests || []) {
+      const type = Object.keys(request)[0]
+      if (SHEET_REQUESTS.includes(type)) return
+      const length = sheetIds.length
+      find(request[type])
+      if (sheetIds.length === length) return
+    }
+
+    return Array.from(new Set(sheetIds))
+  }
+
+  /**
+   * Get file info for spreadsheet
+   *
+   * @returns
+   */
+  getFileInfo () {
+    return this.api.call('drive.files.get', {
+      fileId: this.options.spreadsheetId,
+      fields: 'id,name,kind,mimeType,createdTime,modifiedTime,size,version,lastModifyingUser'
+    })
+  }
+}
+
+module.exports = GoogleBackend
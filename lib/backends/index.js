@@ -0,0 +1,4 @@
+module.exports = {
+  google: require('./google'),
+  memory: require('./memory')
+}
@@ -0,0 +1,427 @@
+const fs = require('fs')
+const util = require('util')
+const Backend = require('./backend')
+const locale = require('../locale')
+
+const writeFile = util.promisify(fs.writeFile)
+
+/**
+ * In-memory backend, optionally persisted to a local JSON file
+ *
+ * It keeps the same row numbering as Google Sheets: row 1 is the header,
+ * appended rows go after the last non-empty row and deleting rows shifts
+ * the rows below them.
+ */
+class MemoryBackend extends Backend {
+  constructor (options) {
+    super(options)
+    this.data = this.restore()
+  }
+
+  /**
+   * Restore data from the file or the `data` option
+   */
+  restore () {
+    const { file, spreadsheetId = 'memory' } = this.options
+    let data = this.options.data
+    if (!data && file && fs.existsSync(file)) {
+      data = JSON.parse(fs.readFileSync(file))
+    }
+    data = { ...data }
+
+    const now = new Date().toISOString()
+    const sheets = (data.sheets || [{ title: 'Sheet1' }]).map((sheet, index) => {
+      const values = (sheet.values || []).map(line => (line || []).map(value => this.toCell(value)))
+      return {
+        id: sheet.id !== undefined ? sheet.id : index === 0 ? 0 : this.createSheetId(),
+        title: sheet.title || `Sheet${index + 1}`,
+        index,
+        type: 'GRID',
+        rowCount: Math.max(sheet.rowCount || 1000, values.length),
+        columnCount: Math.max(sheet.columnCount || 26, ...values.map(line => line.length)),
+        values
+      }
+    })
+
+    return {
+      id: data.id || spreadsheetId,
+      title: data.title || 'Untitled spreadsheet',
+      locale: data.locale || 'en_US',
+      timezone: data.timezone || 'Etc/GMT',
+      createdTime: data.createdTime || now,
+      modifiedTime: data.modifiedTime || now,
+      version: data.version || 1,
+      sheets
+    }
+  }
+
+  /**
+   * Write data to the file if there is one
+   */
+  async save () {
+    this.data.modifiedTime = new Date().toISOString()
+    this.data.version++
+    if (this.options.file) {
+      await writeFile(this.options.file, JSON.stringify(this.data, null, 2))
+    }
+  }
+
+  /**
+   * Get spreadsheet information
+   *
+   * @param {Object} options
+   *  - values Include values of all the sheets (as cells)
+   */
+  async load (options) {
+    const { values = false } = options || {}
+    const data = this.data
+    const sheets = data.sheets.map(sheet => {
+      const info = {
+        id: sheet.id,
+        title: sheet.title,
+        index: sheet.index,
+        type: sheet.type,
+        rowCount: sheet.rowCount,
+        columnCount: sheet.columnCount
+      }
+      if (!values) return info
+      let length = sheet.values.length
+      while (length > 0 && !this.isFilled(sheet.values[length - 1])) length--
+      return { ...info, values: sheet.values.slice(0, length).map(line => (line || []).map(value => this.toCellObject(value))) }
+    })
+
+    return {
+      id: data.id,
+      url: null,
+      title: data.title,
+      locale: data.locale,
+      timezone: data.timezone,
+      sheets
+    }
+  }
+
+  /**
+   * List sheet values
+   *
+   * @param {Object} options
+   */
+  async list (options) {
+    const { limit = 2000000, start = 1, sheet, render = 'text' } = options || {}
+    const selectedSheet = this.findSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const values = selectedSheet.values.slice(start - 1, start + limit - 1).map(line => {
+      // Trailing empty cells are omitted such as Sheets
+      const cells = line || []
+      let length = cells.length
+      while (length > 0 && (cells[length - 1] === null || cells[length - 1] === undefined)) length--
+      return cells.slice(0, length).map(value => this.renderCell(this.toCellObject(value), render))
+    })
+    while (values.length && !this.isFilled(values[values.length - 1])) values.pop()
+    return values
+  }
+
+  /**
+   * Append data after the last non-empty row
+   *
+   * @param {Object} options
+   */
+  async append (options) {
+    const { data, sheet } = options || {}
+    const selectedSheet = this.findSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const items = typeof data === 'object' && typeof data[0] !== 'object' ? [data] : data
+    const input = this.inputValues(items.map(item => this.dataToValue(item)), options)
+    const values = input.values.map(value => Array.from(value, v => this.toCell(v, input.valueInputOption)))
+
+    let lastRow = selectedSheet.values.length
+    while (lastRow > 0 && !this.isFilled(selectedSheet.values[lastRow - 1])) lastRow--
+
+    selectedSheet.values.splice(lastRow, 0, ...values)
+    selectedSheet.rowCount = Math.max(selectedSheet.rowCount + values.length, selectedSheet.values.length)
+    selectedSheet.columnCount = Math.max(selectedSheet.columnCount, ...values.map(value => value.length))
+
+    await this.save()
+
+    return {
+      spreadsheetId: this.data.id,
+      sheet: selectedSheet.title,
+      startRow: lastRow + 1,
+      endRow: lastRow + values.length,
+      insertedRows: values.length
+    }
+  }
+
+  /**
+   * Update rows with row no
+   *
+   * @param {Object} options
+   */
+  async update (options) {
+    const { data: update, sheet, upsert = true } = options || {}
+    const result = { updatedRows: 0 }
+    if (!update) return result
+    const selectedSheet = this.findSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const updateRows = !Array.isArray(update) ? Object.keys(update).map(key => ({ row: parseInt(key), data: update[key] })) : update
+    const input = this.inputValues(updateRows.map(item => this.dataToValue(item.data)), options)
+    const lines = updateRows.map((item, i) => ({ row: item.row, value: input.values[i] }))
+
+    const rows = Math.max(0, ...lines.map(line => line.row))
+    const columns = Math.max(0, ...lines.map(line => line.value.length))
+    if (rows > selectedSheet.rowCount || columns > selectedSheet.columnCount) {
+      if (!upsert) throw new Error('range exceeds grid limits')
+      selectedSheet.rowCount = Math.max(selectedSheet.rowCount, rows)
+      selectedSheet.columnCount = Math.max(selectedSheet.columnCount, columns)
+    }
+
+    lines.forEach(({ row, value }) => {
+      const line = selectedSheet.values[row - 1] || []
+      value.forEach((v, i) => {
+        if (v === undefined || v === null) return
+        line[i] = this.toCell(v, input.valueInputOption)
+      })
+      selectedSheet.values[row - 1] = Array.from(line, v => v === undefined ? null : v)
+    })
+    for (let i = 0; i < selectedSheet.values.length; i++) {
+      if (!selectedSheet.values[i]) selectedSheet.values[i] = []
+    }
+    result.updatedRows += lines.length
+
+    await this.save()
+
+    return result
+  }
+
+  /**
+   * Apply batchUpdate requests, all of them or none
+   *
+   * @param {Object} options
+   */
+  async request (options) {
+    const { requests = [] } = options || {}
+    const data = JSON.parse(JSON.stringify(this.data))
+    const replies = requests.map(request => {
+      const type = Object.keys(request)[0]
+      const handler = this[`apply${type.charAt(0).toUpperCase()}${type.slice(1)}`]
+      if (!handler) throw new Error(`unsupported request: ${type}`)
+      return handler.call(this, data, request[type])
+    })
+
+    this.data = data
+    await this.save()
+
+    return { spreadsheetId: data.id, replies }
+  }
+
+  /**
+   * Get file info for spreadsheet
+   */
+  async getFileInfo () {
+    return {
+      id: this.data.id,
+      name: this.data.title,
+      kind: 'drive#file',
+      mimeType: 'application/vnd.google-apps.spreadsheet',
+      createdTime: this.data.createdTime,
+      modifiedTime: this.data.modifiedTime,
+      version: String(this.data.version)
+    }
+  }
+
+  applyAddSheet (data, { properties = {} }) {
+    const title = properties.title || `Sheet${data.sheets.length + 1}`
+    if (data.sheets.some(s => s.title === title)) throw new Error(`sheet "${title}" already exists`)
+    const sheet = {
+      id: properties.sheetId !== undefined ? properties.sheetId : this.createSheetId(data),
+      title,
+      index: data.sheets.length,
+      type: 'GRID',
+      rowCount: 1000,
+      columnCount: 26,
+      values: []
+    }
+    data.sheets.push(sheet)
+    return {
+      addSheet: {
+        properties: {
+          sheetId: sheet.id,
+          title: sheet.title,
+          index: sheet.index,
+          sheetType: sheet.type,
+          gridProperties: { rowCount: sheet.rowCount, columnCount: sheet.columnCount }
+        }
+      }
+    }
+  }
+
+  applyDeleteSheet (data, { sheetId }) {
+    const index = data.sheets.findIndex(s => s.id === sheetId)
+    if (index === -1) throw new Error('sheet not found')
+    data.sheets.splice(index, 1)
+    data.sheets.forEach((sheet, i) => { sheet.index = i })
+    return {}
+  }
+
+  applyAppendDimension (data, { sheetId, dimension, length }) {
+    const sheet = this.findSheetById(data, sheetId)
+    if (dimension === 'ROWS') sheet.rowCount += length
+    else sheet.columnCount += length
+    return {}
+  }
+
+  applyDeleteDimension (data, { range }) {
+    const { sheetId, dimension, startIndex, endIndex } = range
+    const sheet = this.findSheetById(data, sheetId)
+    const count = dimension === 'ROWS' ? sheet.rowCount : sheet.columnCount
+    if (startIndex < 0 || endIndex > count || startIndex >= endIndex) throw new Error('invalid dimension range')
+    if (dimension === 'ROWS') {
+      sheet.values.splice(startIndex, endIndex - startIndex)
+      sheet.rowCount -= endIndex - startIndex
+    } else {
+      sheet.values.forEach(line => line.splice(startIndex, endIndex - startIndex))
+      sheet.columnCount -= endIndex - startIndex
+    }
+    return {}
+  }
+
+  applyUpdateCells (data, { start, range, rows = [] }) {
+    const sheet = this.findSheetById(data, (start || range).sheetId)
+    const { rowIndex = 0, columnIndex = 0 } = start || { rowIndex: range.startRowIndex, columnIndex: range.startColumnIndex }
+    if (range) {
+      // Cells of the range not covered by the rows are cleared
+      const endRow = range.endRowIndex === undefined ? sheet.values.length : Math.min(range.endRowIndex, sheet.values.length)
+      for (let i = rowIndex; i < endRow; i++) {
+        const line = sheet.values[i] || []
+        const endColumn = range.endColumnIndex === undefined ? line.length : Math.min(range.endColumnIndex, line.length)
+        for (let j = columnIndex; j < endColumn; j++) line[j] = null
+        sheet.values[i] = line
+      }
+    }
+    rows.forEach((rowData, i) => {
+      const values = rowData.values || []
+      if (rowIndex + i >= sheet.rowCount || columnIndex + values.length > sheet.columnCount) {
+        throw new Error('range exceeds grid limits')
+      }
+      const line = sheet.values[rowIndex + i] || []
+      values.forEach((cell, j) => {
+        const stored = this.fromExtendedValue(cell.userEnteredValue)
+        const previous = line[columnIndex + j]
+        // Number formats of the cells are kept such as Sheets
+        line[columnIndex + j] = typeof stored === 'number' && previous && previous.format ? { value: stored, format: previous.format } : stored
+      })
+      sheet.values[rowIndex + i] = Array.from(line, v => v === undefined ? null : v)
+    })
+    for (let i = 0; i < sheet.values.length; i++) {
+      if (!sheet.values[i]) sheet.values[i] = []
+    }
+    return {}
+  }
+
+  applyRepeatCell (data, { range, cell = {}, fields }) {
+    if (fields !== 'userEnteredFormat.numberFormat') throw new Error(`unsupported repeatCell fields: ${fields}`)
+    const sheet = this.findSheetById(data, range.sheetId)
+    const numberFormat = cell.userEnteredFormat && cell.userEnteredFormat.numberFormat
+    const { startRowIndex = 0, startColumnIndex = 0 } = range
+    const endRowIndex = range.endRowIndex === undefined ? sheet.values.length : Math.min(range.endRowIndex, sheet.values.length)
+    for (let i = startRowIndex; i < endRowIndex; i++) {
+      const line = sheet.values[i] || []
+      const endColumnIndex = range.endColumnIndex === undefined ? line.length : Math.min(range.endColumnIndex, line.length)
+      for (let j = startColumnIndex; j < endColumnIndex; j++) {
+        const stored = line[j]
+        const value = stored && typeof stored === 'object' && stored.format ? stored.value : stored
+        if (typeof value !== 'number') continue
+        line[j] = numberFormat && numberFormat.type ? { value, format: numberFormat } : value
+      }
+    }
+    return {}
+  }
+
+  /**
+   * Find sheet in the stored data by gid, title or index
+   *
+   * @param {String|Number} id
+   */
+  findSheet (id) {
+    return this.matchSheet(this.data.sheets, id)
+  }
+
+  findSheetById (data, sheetId) {
+    const sheet = data.sheets.find(s => s.id === sheetId)
+    if (!sheet) throw new Error('sheet not found')
+    return sheet
+  }
+
+  createSheetId (data) {
+    const sheets = (data || this.data || {}).sheets || []
+    let id
+    do {
+      id = Math.floor(Math.random() * 2000000000) + 1
+    } while (sheets.some(s => s.id === id))
+    return id
+  }
+
+  /**
+   * Convert written value to stored cell
+   *
+   * Cells are stored typed: numbers, booleans, text, `{ formula }` or
+   * `{ value, format }` for numbers with a number format such as dates. RAW
+   * values are stored as-is, USER_ENTERED strings are parsed such as Sheets,
+   * see "locale.parseEntered".
+   *
+   * @param {Mixed} value
+   * @param {String} valueInputOption
+   */
+  toCell (value, valueInputOption) {
+    if (value === undefined || value === null || value === '') return null
+    if (typeof value === 'number' || typeof value === 'boolean') return value
+    if (typeof value === 'object' && typeof value.formula === 'string') return { formula: value.formula }
+    if (typeof value === 'object' && typeof value.value === 'number' && value.format) return { value: value.value, format: value.format }
+    const text = String(value)
+    if (valueInputOption === 'USER_ENTERED' && typeof value === 'string') {
+      const parsed = locale.parseEntered(text, this.localeFormat())
+      if (parsed.formula) return { formula: parsed.formula }
+      if (parsed.format) return { value: parsed.value, format: parsed.format }
+      return parsed.value === '' ? null : parsed.value
+    }
+    return text
+  }
+
+  localeFormat () {
+    return locale.getFormat(this.data && this.data.locale)
+  }
+
+  /**
+   * Convert extended value of cell data to stored cell
+   *
+   * @param {Object} value
+   */
+  fromExtendedValue (value) {
+    if (!value) return null
+    if ('numberValue' in value) return value.numberValue
+    if ('boolValue' in value) return value.boolValue
+    if ('formulaValue' in value) return { formula: value.formulaValue }
+    return this.toCell(value.stringValue)
+  }
+
+  /**
+   * Convert stored cell to cell object, formulas are not evaluated
+   *
+   * @param {Mixed} stored
+   */
+  toCellObject (stored) {
+    if (stored === null || stored === undefined) return null
+    if (typeof stored === 'object' && stored.format) return { text: locale.formatValue(stored.value, stored.format, this.localeFormat()), value: stored.value }
+    if (typeof stored === 'object') return { text: stored.formula, value: stored.formula, formula: stored.formula }
+    if (typeof stored === 'boolean') return { text: stored ? 'TRUE' : 'FALSE', value: stored }
+    return { text: String(stored), value: stored }
+  }
+
+  isFilled (line) {
+    return !!line && line.some(value => value !== null && value !== undefined)
+  }
+}
+
+module.exports = MemoryBackend
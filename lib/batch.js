@@ -0,0 +1,365 @@
+/**
+ * Batch of writes across the sheets of a spreadsheet
+ *
+ * The rows of the written sheets are read on commit, the operations are
+ * applied in order to the rows in memory, then all the changes are sent in a
+ * single batchUpdate request, so either all of them are applied or none.
+ *
+ * @example
+ *  const batch = sheetbase.batch()
+ *  batch.sheet('users').insert({ name: 'Michael' })
+ *  batch.sheet('posts').delete({ author: 'Jordan' })
+ *  const [inserted, deleted] = await batch.commit()
+ */
+class Batch {
+  /**
+   * @param {Object} options
+   *  - spreadsheet
+   *  - sheetbase To get sheets by name
+   */
+  constructor (options) {
+    this.options = options || {}
+    this.spreadsheet = this.options.spreadsheet
+    this.operations = []
+  }
+
+  /**
+   * Get the sheet to add operations to
+   *
+   * @param {Mixed} sheet Sheet, or sheet name to get from the sheetbase
+   * @param {Object} options Sheet options
+   */
+  sheet (sheet, options) {
+    if (!sheet || typeof sheet !== 'object') {
+      if (!this.options.sheetbase) throw new Error('sheetbase is required to get sheet by name')
+      sheet = this.options.sheetbase.sheet(sheet, options)
+    }
+    return {
+      insert: (data, options) => this.add(sheet, 'insert', data, options),
+      update: (query, update, options) => this.add(sheet, 'update', query, update, options),
+      delete: query => this.add(sheet, 'delete', query),
+      updateHeader: (header, options) => this.add(sheet, 'updateHeader', header, options)
+    }
+  }
+
+  /**
+   * Add an operation
+   *
+   * @param {Sheet} sheet
+   * @param {String} type insert, update, delete or updateHeader
+   * @param {...Mixed} args Arguments of the Sheet method
+   */
+  add (sheet, type, ...args) {
+    this.operations.push({ sheet, type, args })
+    return this
+  }
+
+  /**
+   * Apply the operations and send the changes
+   *
+   * A failed operation has the index in `operation` of the error, nothing is written.
+   *
+   * @returns {Array} Result of each operation
+   */
+  async commit () {
+    const states = new Map()
+    const results = []
+    this.changes = []
+    this.contexts = []
+    for (let i = 0; i < this.operations.length; i++) {
+      const { sheet, type, args } = this.operations[i]
+      try {
+        const state = await this.getState(states, sheet)
+        if (sheet.verify) state.verifySheet = sheet
+        results.push(await this[`apply${type.charAt(0).toUpperCase()}${type.slice(1)}`](state, sheet, ...args))
+      } catch (err) {
+        err.operation = i
+        throw err
+      }
+    }
+
+    for (const state of states.values()) await this.verifyRows(state)
+    const requests = []
+    states.forEach(state => requests.push(...this.buildRequests(state)))
+    if (requests.length) await this.spreadsheet.request({ requests })
+    states.forEach(state => this.updateRows(state))
+    this.changes.forEach(({ sheet, change }) => sheet.notify(change))
+    for (const context of this.contexts) {
+      await context.sheet.runHooks('after', context.operation, context)
+    }
+
+    this.operations = []
+    return results
+  }
+
+  /**
+   * Load the rows of the sheet once for the batch
+   *
+   * @param {Map} states
+   * @param {Sheet} sheet
+   */
+  async getState (states, sheet) {
+    const selectedSheet = await this.spreadsheet.getSheet(sheet.options.sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+    if (states.has(selectedSheet.id)) return states.get(selectedSheet.id)
+
+    // Rows are read fresh, so the rows are not changed by others since then
+    const values = await this.spreadsheet.list({ sheet: selectedSheet.id, fresh: true })
+    await sheet.loadNumberFormat()
+    const { locale } = await this.spreadsheet.load()
+    const state = {
+      sheet: selectedSheet,
+      locale,
+      values,
+      verifySheet: null,
+      header: Array.from(values[0] || [], v => v || ''),
+      headerChanged: false,
+      headerOptions: null,
+      lastRow: Math.max(values.length, 1),
+      entries: values.slice(1).map((line, i) => this.createEntry(Array.from(line), i + 2)),
+      items: new Map()
+    }
+    states.set(selectedSheet.id, state)
+    return state
+  }
+
+  /**
+   * Check the written rows are not changed since they were read, if any of
+   * the sheets has `verify`, see "Sheet.verifyRows"
+   *
+   * @param {Object} state
+   */
+  async verifyRows (state) {
+    const sheet = state.verifySheet
+    if (!sheet) return
+    const rows = state.entries.filter(entry => entry.row && (entry.deleted || entry.changes.size)).map(entry => entry.row)
+    await sheet.verifyRows(sheet.valuesToData(state.values).filter(item => rows.includes(item._row)))
+  }
+
+  /**
+   * @param {Array} values
+   * @param {Number} row Row no, null for inserted rows
+   */
+  createEntry (values, row) {
+    return { row, values, changes: new Map(), deleted: false, results: [] }
+  }
+
+  /**
+   * Get the rows as data, numbered as if the inserted rows were appended
+   *
+   * @param {Object} state
+   * @param {Sheet} sheet
+   */
+  getItems (state, sheet) {
+    let row = state.lastRow
+    const items = []
+    state.items = new Map()
+    state.entries.forEach(entry => {
+      if (entry.deleted) return
+      const startRow = entry.row || ++row
+      const item = sheet.valuesToData([state.header, entry.values], { startRow })[0]
+      if (!item) return
+      state.items.set(item, entry)
+      items.push(item)
+    })
+    return items
+  }
+
+  /**
+   * Run the before hooks of the operation, the after hooks are run on commit
+   *
+   * @param {Sheet} sheet
+   * @param {Object} context
+   */
+  async runHooks (sheet, context) {
+    context = { sheet, ...context }
+    await sheet.runHooks('before', context.operation, context)
+    this.contexts.push(context)
+    return context
+  }
+
+  async applyInsert (state, sheet, data, options) {
+    const context = await this.runHooks(sheet, { operation: 'insert', data: Array.isArray(data) ? data : [data], options })
+    data = await sheet.prepareInsert(context.data, this.getItems(state, sheet))
+    const writeOptions = sheet.writeOptions(options)
+    const entries = data.map(item => {
+      const entry = this.createEntry([], null)
+      Object.keys(item).forEach(key => {
+        let index = state.header.indexOf(key)
+        if (index === -1) {
+          index = state.header.push(key) - 1
+          this.changeHeader(state, writeOptions)
+        }
+        entry.values[index] = item[key]
+        entry.changes.set(index, writeOptions)
+      })
+      state.entries.push(entry)
+      return entry
+    })
+
+    this.getItems(state, sheet)
+    const items = new Map(Array.from(state.items, ([item, entry]) => [entry, item]))
+    context.result = entries.map(entry => {
+      const item = { ...items.get(entry) }
+      entry.results.push(item)
+      this.changes.push({ sheet, change: { type: 'insert', before: null, after: item } })
+      return item
+    })
+    return context.result
+  }
+
+  async applyUpdate (state, sheet, query, update, options) {
+    const items = this.getItems(state, sheet)
+    const rows = sheet.filterData(items, sheet.scopeQuery(query, options))
+    const context = await this.runHooks(sheet, { operation: 'update', query, update, rows, options })
+    const data = context.rows.filter(item => state.items.has(item))
+    update = await sheet.resolveUpdate(context.update)
+    if (sheet.key && data.length) await sheet.checkKeyUpdate(data, update, items)
+    const docs = data.map(item => sheet.prepareUpdate(item, update))
+    this.writeRows(state, sheet, data, docs, options, sheet.updateColumns(update))
+    data.forEach((item, i) => {
+      const after = { ...item, ...docs[i] }
+      state.items.get(item).results.push(after)
+      this.changes.push({ sheet, change: { type: 'update', before: item, after } })
+    })
+    context.result = { updatedRows: data.length }
+    return context.result
+  }
+
+  /**
+   * Set the changed fields to the rows, see "Sheet.writeRows"
+   *
+   * @param {Object} state
+   * @param {Sheet} sheet
+   * @param {Array} data Rows
+   * @param {Array} docs Changed fields of each row
+   * @param {Object} options Write options
+   * @param {Array} columns Columns to add if missing, default "Sheet.managedColumns"
+   */
+  writeRows (state, sheet, data, docs, options, columns) {
+    const writeOptions = sheet.writeOptions(options)
+    const fields = columns || sheet.managedColumns()
+    fields.forEach(field => {
+      if (state.header.includes(field) || !docs.some(doc => field in doc)) return
+      state.header.push(field)
+      this.changeHeader(state, writeOptions)
+    })
+
+    data.forEach((item, i) => {
+      const entry = state.items.get(item)
+      Object.keys(docs[i]).forEach(key => {
+        const index = state.header.indexOf(key)
+        if (index === -1) return
+        entry.values[index] = docs[i][key]
+        entry.changes.set(index, writeOptions)
+      })
+    })
+  }
+
+  async applyDelete (state, sheet, query) {
+    if (!query) throw new Error('no query specified')
+    const rows = sheet.filterData(this.getItems(state, sheet), sheet.scopeQuery(query))
+    const context = await this.runHooks(sheet, { operation: 'delete', query, rows })
+    const data = context.rows.filter(item => state.items.has(item))
+    if (sheet.softDelete) {
+      const now = await sheet.timestamp()
+      this.writeRows(state, sheet, data, data.map(item => sheet.prepareUpdate(item, { [sheet.softDelete]: now })))
+    }
+    data.forEach(item => {
+      if (!sheet.softDelete) state.items.get(item).deleted = true
+      this.changes.push({ sheet, change: { type: 'delete', before: item, after: null } })
+    })
+    context.result = { ok: 1, deletedRowsCount: data.length }
+    return context.result
+  }
+
+  async applyUpdateHeader (state, sheet, header, options) {
+    state.header = Array.from(header, v => v === undefined || v === null ? '' : v)
+    this.changeHeader(state, sheet.writeOptions(options))
+    return { updatedRows: 1 }
+  }
+
+  /**
+   * Mark the header to be written, it is escaped if any of the writes is safe
+   *
+   * @param {Object} state
+   * @param {Object} writeOptions
+   */
+  changeHeader (state, writeOptions) {
+    const safe = writeOptions.safe || (state.headerOptions && state.headerOptions.safe)
+    state.headerOptions = { ...writeOptions, safe }
+    state.headerChanged = true
+  }
+
+  /**
+   * Build requests of the sheet: expand the grid, write the header, the
+   * changed and the inserted rows, then delete rows from the bottom
+   *
+   * @param {Object} state
+   */
+  buildRequests (state) {
+    const { sheet } = state
+    const sheetId = sheet.id
+    const backend = this.spreadsheet.backend
+    const requests = []
+    const existed = state.entries.filter(entry => entry.row)
+    const inserted = state.entries.filter(entry => !entry.row && !entry.deleted)
+
+    const rowCount = state.lastRow + inserted.length
+    const columnCount = state.entries.reduce((count, entry) => Math.max(count, entry.values.length), state.header.length)
+    if (rowCount > sheet.rowCount) {
+      requests.push({ appendDimension: { sheetId, dimension: 'ROWS', length: rowCount - sheet.rowCount } })
+    }
+    if (columnCount > sheet.columnCount) {
+      requests.push({ appendDimension: { sheetId, dimension: 'COLUMNS', length: columnCount - sheet.columnCount } })
+    }
+
+    const toCellData = (value, options) => backend.toCellData(value, { ...options, locale: state.locale })
+    if (state.headerChanged) {
+      requests.push(...this.updateCells(sheetId, 0, 0, [state.header.map(value => toCellData(value, state.headerOptions))]))
+    }
+
+    existed.filter(entry => !entry.deleted && entry.changes.size).forEach(entry => {
+      const columns = Array.from(entry.changes.keys()).sort((a, b) => a - b)
+      let start = 0
+      columns.forEach((column, i) => {
+        if (columns[i + 1] === column + 1) return
+        const cells = columns.slice(start, i + 1).map(c => toCellData(entry.values[c], entry.changes.get(c)))
+        requests.push(...this.updateCells(sheetId, entry.row - 1, columns[start], [cells]))
+        start = i + 1
+      })
+    })
+
+    if (inserted.length) {
+      const rows = inserted.map(entry => Array.from(entry.values, (value, c) => toCellData(value, entry.changes.get(c))))
+      requests.push(...this.updateCells(sheetId, state.lastRow, 0, rows))
+    }
+
+    const deleted = existed.filter(entry => entry.deleted).map(entry => entry.row)
+    requests.push(...backend.deleteRequests(sheetId, { rows: deleted }).requests)
+
+    return requests
+  }
+
+  updateCells (sheetId, rowIndex, columnIndex, rows) {
+    return this.spreadsheet.backend.cellRequests({ start: { sheetId, rowIndex, columnIndex } }, rows)
+  }
+
+  /**
+   * Set the row no of the results after the rows are deleted
+   *
+   * @param {Object} state
+   */
+  updateRows (state) {
+    const deleted = state.entries.filter(entry => entry.row && entry.deleted).map(entry => entry.row)
+    let row = state.lastRow
+    state.entries.forEach(entry => {
+      if (entry.deleted) return
+      const written = entry.row || ++row
+      const finalRow = written - deleted.filter(r => r < written).length
+      entry.results.forEach(item => { item._row = finalRow })
+    })
+  }
+}
+
+module.exports = Batch
@@ -0,0 +1,119 @@
+/**
+ * Spreadsheet data cache
+ *
+ * Entries are kept by spreadsheetId, a cache can be shared by the sheets of
+ * a Sheetbase or passed to several Sheetbase instances with the `cache` option.
+ *
+ * @example
+ *  new Cache({ ttl: 60000, stale: 30000, checkVersion: true })
+ */
+class Cache {
+  /**
+   * @param {Object} options
+   *  - ttl Milliseconds the data is fresh, default Infinity (until written)
+   *  - stale Milliseconds after ttl the data is still served while revalidating in background
+   *  - checkVersion Check the Drive file version before refetching expired data
+   */
+  constructor (options) {
+    this.options = { ttl: Infinity, stale: 0, checkVersion: false, ...options }
+    this.entries = new Map()
+    this.pending = new Map()
+  }
+
+  /**
+   * Create cache from the `cache` option
+   *
+   * @param {Cache|Object|Boolean} cache `false` to always fetch
+   */
+  static from (cache) {
+    if (cache instanceof Cache) return cache
+    if (cache === false) return new Cache({ ttl: 0 })
+    return new Cache(cache)
+  }
+
+  /**
+   * Get entry of the spreadsheet
+   *
+   * @param {String} id
+   */
+  get (id) {
+    return this.entries.get(id)
+  }
+
+  /**
+   * Set data of the spreadsheet, rows of the sheets are cached in `rows`
+   *
+   * @param {String} id
+   * @param {Object} data
+   * @param {String} version Drive file version
+   */
+  set (id, data, version) {
+    const entry = { data, version, time: Date.now(), dirty: new Set(), rows: new Map() }
+    this.entries.set(id, entry)
+    return entry
+  }
+
+  /**
+   * Mark the entry fresh again
+   *
+   * @param {Object} entry
+   */
+  touch (entry) {
+    entry.time = Date.now()
+    return entry
+  }
+
+  /**
+   * Get state of the entry: fresh, stale or expired
+   *
+   * @param {Object} entry
+   */
+  state (entry) {
+    const age = Date.now() - entry.time
+    if (age < this.options.ttl) return 'fresh'
+    if (age < this.options.ttl + this.options.stale) return 'stale'
+    return 'expired'
+  }
+
+  /**
+   * Invalidate sheets of the spreadsheet, or the whole spreadsheet
+   *
+   * @param {String} id
+   * @param {Number|Array} sheetIds
+   */
+  invalidate (id, sheetIds) {
+    const entry = this.entries.get(id)
+    if (!entry) return
+    if (sheetIds === undefined || sheetIds === null) {
+      this.entries.delete(id)
+      return
+    }
+    [].concat(sheetIds).forEach(sheetId => entry.dirty.add(sheetId))
+    entry.version = null
+  }
+
+  /**
+   * Run the task once at a time for the key
+   *
+   * @param {String} key
+   * @param {Function} fn
+   */
+  once (key, fn) {
+    if (!this.pending.has(key)) {
+      const promise = Promise.resolve().then(fn)
+      const clear = () => this.pending.delete(key)
+      promise.then(clear, clear)
+      this.pending.set(key, promise)
+    }
+    return this.pending.get(key)
+  }
+
+  /**
+   * Clear all entries
+   */
+  clear () {
+    this.entries.clear()
+  }
+}
+
+module.exports = Cache
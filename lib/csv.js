@@ -0,0 +1,82 @@
+/**
+ * Parse delimited text into rows of values
+ *
+ * Quoted values may contain delimiters, newlines and doubled quotes.
+ *
+ * @param {String} text
+ * @param {Object} options
+ *  - delimiter Default `,`
+ * @returns {Array}
+ */
+function parse (text, options) {
+  const { delimiter = ',' } = options || {}
+  const rows = []
+  let row = []
+  let value = ''
+  let quoted = false
+  text = String(text).replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        value += char
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(value)
+      rows.push(row)
+      row = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+
+  if (value !== '' || row.length) {
+    row.push(value)
+    rows.push(row)
+  }
+  return rows
+}
+
+/**
+ * Stringify rows of values into delimited text
+ *
+ * @param {Array} rows
+ * @param {Object} options
+ *  - delimiter Default `,`
+ * @returns {String}
+ */
+function stringify (rows, options) {
+  return rows.map(row => stringifyRow(row, options)).join('\n')
+}
+
+/**
+ * Stringify one row, values with delimiter, quote or newline are quoted
+ *
+ * @param {Array} row
+ * @param {Object} options
+ */
+function stringifyRow (row, options) {
+  const { delimiter = ',' } = options || {}
+  return Array.from(row, value => {
+    value = value === undefined || value === null ? '' : String(value)
+    if (value.includes(delimiter) || /["\r\n]/.test(value)) {
+      value = '"' + value.replace(/"/g, '""') + '"'
+    }
+    return value
+  }).join(delimiter)
+}
+
+module.exports = { parse, stringify, stringifyRow }
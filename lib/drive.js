@@ -0,0 +1,148 @@
+const { PassThrough } = require('stream')
+const GoogleApi = require('./googleapi')
+const Spreadsheet = require('./spreadsheet')
+
+/**
+ * Export formats
+ *
+ * `sheet` formats always export a single sheet (the default one if no sheet
+ * is specified), `workbook` formats always export the full spreadsheet as the
+ * export url ignores the sheet, the others export the full spreadsheet unless
+ * a sheet is given.
+ */
+const FORMATS = {
+  csv: { mimeType: 'text/csv', sheet: true },
+  tsv: { mimeType: 'text/tab-separated-values', sheet: true },
+  xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', workbook: true },
+  ods: { mimeType: 'application/x-vnd.oasis.opendocument.spreadsheet', workbook: true },
+  pdf: { mimeType: 'application/pdf' },
+  html: { mimeType: 'application/zip' },
+  text: { mimeType: 'text/plain', sheet: true }
+}
+
+class Drive {
+  constructor (options) {
+    this.options = { ...options }
+    this.spreadsheet = this.options.spreadsheet || new Spreadsheet(this.options)
+    this.api = this.options.api || this.spreadsheet.backend.api || new GoogleApi(this.options)
+  }
+
+  /**
+   * Get file info
+   *
+   * @param {Object} options
+   */
+  getFile (options) {
+    const { fields = 'id,name,kind,mimeType,createdTime,modifiedTime,size,version,lastModifyingUser' } = options || {}
+    return this.api.call('drive.files.get', {
+      fileId: this.options.spreadsheetId,
+      fields
+    })
+  }
+
+  /**
+   * Export file to format
+   *
+   * @example
+   *  exportFile({ format: 'xlsx' })
+   *  exportFile({ format: 'csv', sheet: 'users', stream: true })
+   *
+   * @param {Object} options
+   *  - format csv, tsv, xlsx, ods, pdf, html or text
+   *  - sheet Sheet gid, index or title, such as "Sheetbase.sheet", not for xlsx and ods
+   *  - stream Return a readable stream instead of a Buffer
+   */
+  async exportFile (options) {
+    const { format = 'xlsx', sheet, stream = false } = options || {}
+    const exportFormat = FORMATS[format]
+    if (!exportFormat) throw new Error(`format "${format}" is not supported`)
+    if (exportFormat.workbook && sheet !== undefined) throw new Error(`format "${format}" exports the full spreadsheet, a sheet can not be selected`)
+
+    if (format === 'text') {
+      const buffer = await this.sheetToText(sheet)
+      return stream ? this.bufferToStream(buffer) : buffer
+    }
+
+    const responseType = stream ? 'stream' : 'arraybuffer'
+    let data
+    if (sheet === undefined && !exportFormat.sheet) {
+      data = await this.api.call('drive.files.export', {
+        fileId: this.options.spreadsheetId,
+        mimeType: exportFormat.mimeType
+      }, { responseType })
+    } else {
+      const selectedSheet = await this.spreadsheet.getSheet(sheet)
+      if (!selectedSheet) throw new Error('sheet not found')
+      data = await this.api.request({ url: this.getExportUrl(format, selectedSheet.id), responseType })
+    }
+
+    return stream ? data : Buffer.from(data)
+  }
+
+  /**
+   * Export file to HTML
+   *
+   * A zip of HTML pages for the spreadsheet, or the HTML table of the sheet.
+   *
+   * @param {Object} options
+   */
+  exportHtml (options) {
+    return this.exportFile({ ...options, format: 'html' })
+  }
+
+  /**
+   * Export sheet to plain text
+   *
+   * @param {Object} options
+   */
+  exportText (options) {
+    return this.exportFile({ ...options, format: 'text' })
+  }
+
+  /**
+   * Export file to Pdf
+   *
+   * @param {Object} options
+   */
+  exportPdf (options) {
+    return this.exportFile({ ...options, format: 'pdf' })
+  }
+
+  /**
+   * Get export url of a single sheet
+   *
+   * @param {String} format
+   * @param {Number} gid
+   */
+  getExportUrl (format, gid) {
+    const url = `https://docs.google.com/spreadsheets/d/${this.options.spreadsheetId}`
+    if (format === 'html') return `${url}/gviz/tq?tqx=out:html&gid=${gid}`
+    return `${url}/export?format=${format}&gid=${gid}`
+  }
+
+  /**
+   * Convert sheet values to text, a line for a row and tabs between cells
+   *
+   * @param {String|Number} sheet
+   */
+  async sheetToText (sheet) {
+    const values = await this.spreadsheet.list({ sheet })
+    const text = values.map(value => Array.from(value, v => v || '').join('\t')).join('\n')
+    return Buffer.from(text)
+  }
+
+  /**
+   * Convert buffer to readable stream
+   *
+   * @param {Buffer} buffer
+   */
+  bufferToStream (buffer) {
+    const stream = new PassThrough()
+    stream.end(buffer)
+    return stream
+  }
+}
+
+Drive.FORMATS = FORMATS
+
+module.exports = Drive
@@ -0,0 +1,44 @@
+/**
+ * Validation failed on write
+ *
+ * @example
+ *  err.errors = [{ field: 'age', message: 'must be a number', value: 'ten' }]
+ */
+class ValidationError extends Error {
+  constructor (errors) {
+    super(`validation failed: ${errors.map(e => `${e.field} ${e.message}`).join(', ')}`)
+    this.name = 'ValidationError'
+    this.errors = errors
+  }
+}
+
+/**
+ * Key is not unique on write
+ */
+class DuplicateKeyError extends Error {
+  constructor (field, values) {
+    super(`duplicate key ${field}: ${values.join(', ')}`)
+    this.name = 'DuplicateKeyError'
+    this.field = field
+    this.values = values
+  }
+}
+
+/**
+ * Rows were changed by others since they were read
+ *
+ * The cached rows of the sheet are dropped, so the write can be retried.
+ */
+class ConflictError extends Error {
+  constructor (rows) {
+    super(`rows were changed since read: ${rows.join(', ')}`)
+    this.name = 'ConflictError'
+    this.rows = rows
+  }
+}
+
+module.exports = {
+  ConflictError,
+  DuplicateKeyError,
+  ValidationError
+}
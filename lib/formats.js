@@ -0,0 +1,73 @@
+const csv = require('./csv')
+
+const DELIMITERS = { csv: ',', tsv: '\t' }
+
+/**
+ * Check the format is supported
+ *
+ * @param {String} format csv, tsv, json or ndjson
+ */
+function check (format) {
+  if (!['csv', 'tsv', 'json', 'ndjson'].includes(format)) throw new Error(`format "${format}" is not supported`)
+}
+
+/**
+ * Parse text into rows data
+ *
+ * The first line of csv and tsv is the header, empty cells are omitted.
+ *
+ * @param {String} text
+ * @param {String} format
+ * @returns {Array}
+ */
+function parse (text, format) {
+  check(format)
+  if (format === 'json') {
+    const data = JSON.parse(text)
+    return Array.isArray(data) ? data : [data]
+  }
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line))
+  }
+
+  const [header = [], ...rows] = csv.parse(text, { delimiter: DELIMITERS[format] })
+  return rows.map(row => header.reduce((item, key, index) => {
+    if (key && row[index] !== undefined && row[index] !== '') item[key] = row[index]
+    return item
+  }, {}))
+}
+
+/**
+ * Create serializer of the format
+ *
+ * @example
+ *  const serializer = formats.serializer('csv', ['id', 'name'])
+ *  serializer.start + rows.map((row, i) => serializer.row(row, i)).join('') + serializer.end
+ *
+ * @param {String} format
+ * @param {Array} columns Columns of csv and tsv
+ */
+function serializer (format, columns) {
+  check(format)
+  switch (format) {
+    case 'json':
+      return {
+        start: '[',
+        row: (item, index) => (index ? ',' : '') + '\n' + JSON.stringify(item),
+        end: ']\n'
+      }
+    case 'ndjson':
+      return { start: '', row: item => JSON.stringify(item) + '\n', end: '' }
+    default: {
+      const options = { delimiter: DELIMITERS[format] }
+      const text = value => value instanceof Date ? value.toISOString() : value && typeof value === 'object' ? JSON.stringify(value) : value
+      return {
+        start: csv.stringifyRow(columns, options) + '\n',
+        row: item => csv.stringifyRow(columns.map(column => text(item[column])), options) + '\n',
+        end: ''
+      }
+    }
+  }
+}
+
+module.exports = { check, parse, serializer }
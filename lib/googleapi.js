@@ -1,21 +1,45 @@
 const fs = require('fs')
 const { google } = require('googleapis')
 const path = require('path')
+const Scheduler = require('./scheduler')
 
-// google.options({
-//   // All requests made with this object will use these settings unless overridden.
-//   timeout: process.env.NODE_ENV !== 'production' ? 15000 : 10000
-// })
+// Calls allowed with an API key
+const READ_CALLS = [
+  'spreadsheets.get',
+  'spreadsheets.values.get',
+  'spreadsheets.values.batchGet',
+  'drive.files.get',
+  'drive.files.export'
+]
+
+// Calls which can be retried on server and network errors
+const IDEMPOTENT_CALLS = [
+  ...READ_CALLS,
+  'spreadsheets.values.update',
+  'spreadsheets.values.batchUpdate',
+  'spreadsheets.values.clear',
+  'spreadsheets.values.batchClear'
+]
 
 class GoogleApi {
+  /**
+   * @param {Object} options
+   *  - timeout Request timeout in milliseconds
+   *  - concurrency Max concurrent requests, default 4
+   *  - rateLimit `{ requests, interval }` for each spreadsheet, such as `{ requests: 60, interval: 60000 }`
+   *  - retry `{ retries, minDelay, maxDelay }` or `false`
+   *  - scheduler Scheduler shared with other instances
+   */
   constructor (options) {
     this.options = {
       credentialsFile: path.join(__dirname, '../config/google/credentials.json'),
       tokenFile: path.join(__dirname, '../config/google/token.json'),
       ...options
     }
+    this.scheduler = this.options.scheduler || new Scheduler(this.options)
 
     const auth = this.getAuthClient()
+    this.auth = auth
     this.api = {
       spreadsheets: google.sheets({ version: 'v4', auth }).spreadsheets,
       drive: google.drive({ version: 'v3', auth })
@@ -27,9 +51,28 @@ class GoogleApi {
    *
    * @param {String} fn
    * @param {Object} request
+   * @param {Object} options Request options such as `responseType`, `timeout` and `idempotent`
    */
-  async call (fn, request) {
-    const response = await new Promise((resolve, reject) => {
+  async call (fn, request, options) {
+    if (this.options.apiKey && !READ_CALLS.includes(fn)) {
+      throw new Error(`${fn} is not allowed with api key`)
+    }
+    const { idempotent = IDEMPOTENT_CALLS.includes(fn), ...requestOptions } = options || {}
+    const key = request && (request.spreadsheetId || request.fileId)
+    const response = await this.scheduler.run(() => this.invoke(fn, request, requestOptions), { key, idempotent })
+    return response && response.data
+  }
+
+  /**
+   * Invoke the api once
+   *
+   * @param {String} fn
+   * @param {Object} request
+   * @param {Object} options
+   */
+  invoke (fn, request, options) {
+    const { timeout } = this.options
+    return new Promise((resolve, reject) => {
       const parts = fn.split('.')
       let callee = this.api
       let parent = this
@@ -39,33 +82,113 @@ class GoogleApi {
       })
       callee = callee.bind(parent)
 
-      callee(request, (err, ret) => {
+      callee(request, { timeout, ...options }, (err, ret) => {
         if (err) { return reject(err) }
         return resolve(ret)
       })
     })
+  }
+
+  /**
+   * Request an url with the auth client
+   *
+   * @param {Object} options
+   */
+  async request (options) {
+    const { idempotent = true, ...requestOptions } = options || {}
+    const response = await this.scheduler.run(() => this.auth.request({ timeout: this.options.timeout, ...requestOptions }), { idempotent })
     return response && response.data
   }
 
   /**
    * Get auth client
+   *
+   * - `auth` Pre-built auth client
+   * - `apiKey` API key, read-only access to public spreadsheets
+   * - `serviceAccount` or `serviceAccountFile` Service account key, `subject` to impersonate with domain-wide delegation
+   * - `credentials` or `credentialsFile` OAuth2 client, or service account key with `type: 'service_account'`
    */
   getAuthClient () {
-    let credentials, token
-    credentials = this.options.credentials || JSON.parse(fs.readFileSync(this.options.credentialsFile)).installed
-    token = this.options.token || JSON.parse(fs.readFileSync(this.options.tokenFile))
-    const { client_secret, client_id } = credentials // eslint-disable-line
-    const authClient = new google.auth.OAuth2(client_id, client_secret)
+    const { auth, apiKey, serviceAccount, serviceAccountFile } = this.options
+    if (auth) return auth
+    if (apiKey) return google.auth.fromAPIKey(apiKey)
+    if (serviceAccount || serviceAccountFile) {
+      return this.getServiceAccountClient(serviceAccount || this.readJson(serviceAccountFile))
+    }
+
+    const credentials = this.options.credentials || this.readJson(this.options.credentialsFile)
+    if (credentials.type === 'service_account') return this.getServiceAccountClient(credentials)
+    return this.getOAuth2Client(credentials.installed || credentials.web || credentials)
+  }
+
+  /**
+   * Get service account client
+   *
+   * @param {Object} key Service account key
+   */
+  getServiceAccountClient (key) {
+    const { scopes = GoogleApi.SCOPES, subject } = this.options
+    return new google.auth.JWT({
+      email: key.client_email,
+      key: key.private_key,
+      keyId: key.private_key_id,
+      scopes,
+      subject
+    })
+  }
+
+  /**
+   * Get OAuth2 client, the access token is refreshed automatically and saved by `saveToken`
+   *
+   * @param {Object} credentials OAuth2 client credentials
+   */
+  getOAuth2Client (credentials) {
+    const { client_secret, client_id, redirect_uris } = credentials // eslint-disable-line
+    const authClient = new google.auth.OAuth2(client_id, client_secret, redirect_uris && redirect_uris[0]) // eslint-disable-line
+    const token = this.options.token || this.readJson(this.options.tokenFile)
     authClient.setCredentials(token)
+    authClient.on('tokens', tokens => this.saveToken({ ...authClient.credentials, ...tokens }))
     return authClient
   }
 
   /**
-   * Refresh token
+   * Save refreshed token with `onToken` callback, or to `tokenFile` if the token is read from it
+   *
+   * It is called in the `tokens` event of the client, errors are logged
+   * instead of thrown to not break the request which refreshed the token.
+   *
+   * @param {Object} token
+   */
+  async saveToken (token) {
+    const { onToken, tokenFile } = this.options
+    try {
+      if (onToken) {
+        await onToken(token)
+      } else if (!this.options.token && tokenFile) {
+        fs.writeFileSync(tokenFile, JSON.stringify(token, null, 2))
+      }
+    } catch (err) {
+      console.error('save token failed:', err)
+    }
+  }
+
+  /**
+   * Refresh access token, nothing to refresh with an API key
    */
-  refreshToken () {
-    // TODO
+  async refreshToken () {
+    if (this.options.apiKey || typeof this.auth.refreshAccessToken !== 'function') return
+    const { credentials } = await this.auth.refreshAccessToken()
+    return credentials
+  }
+
+  readJson (file) {
+    return JSON.parse(fs.readFileSync(file))
   }
 }
 
+GoogleApi.SCOPES = [
+  'https://www.googleapis.com/auth/spreadsheets',
+  'https://www.googleapis.com/auth/drive.readonly'
+]
+
 module.exports = GoogleApi
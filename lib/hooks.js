@@ -0,0 +1,54 @@
+const OPERATIONS = ['insert', 'update', 'delete']
+
+/**
+ * Hooks run before and after sheet operations
+ *
+ * Hooks are called in order with the context of the operation, they can
+ * change the context or throw to abort the operation.
+ *
+ * @example
+ *  context = {
+ *    sheet,
+ *    operation: 'update',
+ *    query,
+ *    update, // update
+ *    data, // insert
+ *    rows, // update and delete, the matched rows
+ *    options,
+ *    result // after hooks
+ *  }
+ */
+class Hooks {
+  constructor () {
+    this.hooks = { before: {}, after: {} }
+  }
+
+  /**
+   * Add a hook
+   *
+   * @param {String} when before or after
+   * @param {String} operation insert, update or delete
+   * @param {Function} fn
+   */
+  add (when, operation, fn) {
+    if (!OPERATIONS.includes(operation)) throw new Error(`unknown hook operation "${operation}"`)
+    if (typeof fn !== 'function') throw new Error('hook must be a function')
+    const hooks = this.hooks[when]
+    hooks[operation] = (hooks[operation] || []).concat(fn)
+  }
+
+  /**
+   * Run the hooks in order
+   *
+   * @param {String} when
+   * @param {String} operation
+   * @param {Object} context
+   */
+  async run (when, operation, context) {
+    for (const fn of this.hooks[when][operation] || []) {
+      await fn(context)
+    }
+  }
+}
+
+module.exports = Hooks
@@ -0,0 +1,167 @@
+/**
+ * Parse values typed in the UI such as Sheets does with the spreadsheet locale
+ */
+const DEFAULT_FORMAT = { decimal: '.', group: ',', dateOrder: ['month', 'day', 'year'] }
+const formats = new Map()
+
+/**
+ * Get number separators and date order of the locale
+ *
+ * @param {String} locale Such as `en_US` or `de_DE`
+ * @returns {Object} `{ decimal, group, dateOrder }`, dateOrder such as `['month', 'day', 'year']`
+ */
+function getFormat (locale) {
+  const tag = String(locale || 'en_US').replace(/_/g, '-')
+  if (formats.has(tag)) return formats.get(tag)
+
+  let format
+  try {
+    const parts = new Intl.NumberFormat(tag).formatToParts(12345.6)
+    const part = (type, defaults) => (parts.find(p => p.type === type) || { value: defaults }).value
+    const dateOrder = new Intl.DateTimeFormat(tag, { year: 'numeric', month: 'numeric', day: 'numeric' })
+      .formatToParts(new Date(Date.UTC(2020, 0, 31)))
+      .map(p => p.type)
+      .filter(type => ['year', 'month', 'day'].includes(type))
+    format = { decimal: part('decimal', '.'), group: part('group', ','), dateOrder }
+  } catch (err) {
+    // Unknown locale
+    format = DEFAULT_FORMAT
+  }
+  formats.set(tag, format)
+  return format
+}
+
+/**
+ * Parse number text, such as `-1,234.5` in `en_US` or `1.234,5` in `de_DE`
+ *
+ * @param {String} text
+ * @param {Object} format See "getFormat"
+ * @returns {Number} NaN if not a number
+ */
+function parseNumber (text, format) {
+  const { decimal, group } = format || DEFAULT_FORMAT
+  text = String(text).replace(/\s/g, '').replace(/\u2212/g, '-')
+  if (text === '') return NaN
+
+  const escape = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const g = escape(group.replace(/\s/g, ''))
+  const d = escape(decimal)
+  const localized = new RegExp(`^[+-]?(\\d{1,3}(${g || ' '}\\d{3})+|\\d*)(${d}\\d+)?$`)
+  if (/\d/.test(text) && localized.test(text)) {
+    return Number((g ? text.split(group.replace(/\s/g, '')).join('') : text).replace(decimal, '.'))
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) return Number(text)
+  return NaN
+}
+
+/**
+ * Parse date text to serial number, the days since 1899-12-30
+ *
+ * `2020-01-31`, `2020/01/31 08:00` and dates in the order of the locale such
+ * as `1/31/2020` (`en_US`) or `31.01.2020 08:00:00` (`de_DE`) are parsed.
+ *
+ * @param {String} text
+ * @param {Object} format See "getFormat"
+ * @returns {Object|null} `{ value, format }` with the number format of the date
+ */
+function parseDate (text, format) {
+  const { dateOrder } = format || DEFAULT_FORMAT
+  let parts
+  let pattern
+  let match = text.match(/^(\d{4})([-/])(\d{1,2})\2(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/)
+  if (match) {
+    parts = { year: match[1], month: match[3], day: match[4] }
+    pattern = `yyyy${match[2]}mm${match[2]}dd`
+  } else {
+    match = text.match(/^(\d{1,2})([./-])(\d{1,2})\2(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/)
+    const order = dateOrder.filter(type => type !== 'year')
+    if (!match || dateOrder[2] !== 'year') return null
+    parts = { [order[0]]: match[1], [order[1]]: match[3], year: match[4] }
+    pattern = order.map(type => (type === 'month' ? 'm' : 'd').repeat(parts[type].length)).join(match[2]) + `${match[2]}yyyy`
+  }
+
+  const [hour = 0, minute = 0, second = 0] = match.slice(5).map(v => v === undefined ? undefined : Number(v))
+  const year = Number(parts.year)
+  const month = Number(parts.month)
+  const day = Number(parts.day)
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) return null
+
+  const type = match[5] === undefined ? 'DATE' : 'DATE_TIME'
+  if (type === 'DATE_TIME') pattern += match[7] === undefined ? ' hh:mm' : ' hh:mm:ss'
+  const days = Date.UTC(year, month - 1, day) / 86400000 + 25569
+  return { value: days + (hour * 3600 + minute * 60 + second) / 86400, format: { type, pattern } }
+}
+
+/**
+ * Parse text such as typed in the UI with USER_ENTERED
+ *
+ * A leading `'` forces text, formulas, booleans, numbers, percents and dates
+ * are typed, the number format is given for percents and dates.
+ *
+ * @param {String} text
+ * @param {Object} format See "getFormat"
+ * @returns {Object} `{ value }`, `{ value, format }` or `{ formula }`
+ */
+function parseEntered (text, format) {
+  text = String(text)
+  if (text.charAt(0) === "'") return { value: text.slice(1) }
+  if (text.charAt(0) === '=') return { formula: text }
+  if (/^(true|false)$/i.test(text)) return { value: text.toLowerCase() === 'true' }
+
+  const number = parseNumber(text, format)
+  if (!isNaN(number)) return { value: number }
+
+  const percent = text.match(/^(.*\d)\s?%$/)
+  if (percent) {
+    const value = parseNumber(percent[1], format)
+    if (!isNaN(value)) {
+      const decimals = (percent[1].split((format || DEFAULT_FORMAT).decimal)[1] || '').length
+      const pattern = decimals ? `0.${'0'.repeat(decimals)}%` : '0%'
+      return { value: Number((value / 100).toPrecision(15)), format: { type: 'PERCENT', pattern } }
+    }
+  }
+
+  return parseDate(text.trim(), format) || { value: text }
+}
+
+/**
+ * Format number with the number format of "parseEntered"
+ *
+ * @param {Number} value
+ * @param {Object} numberFormat `{ type, pattern }`
+ * @param {Object} format See "getFormat"
+ */
+function formatValue (value, numberFormat, format) {
+  const { type, pattern } = numberFormat
+  if (type === 'PERCENT') {
+    const decimals = (pattern.split('.')[1] || '').replace('%', '').length
+    return (value * 100).toFixed(decimals).replace('.', (format || DEFAULT_FORMAT).decimal) + '%'
+  }
+  if (type !== 'DATE' && type !== 'DATE_TIME') return String(value)
+
+  const date = new Date(Math.round((value - 25569) * 86400000))
+  const pad = (number, length) => String(number).padStart(length, '0')
+  let last = null
+  return pattern.replace(/yyyy|hh|ss|mm|m|dd|d/g, (token, offset) => {
+    const minute = token === 'mm' && (last === 'hh' || pattern.slice(offset + 2).startsWith(':ss'))
+    last = token
+    switch (token) {
+      case 'yyyy': return date.getUTCFullYear()
+      case 'hh': return pad(date.getUTCHours(), 2)
+      case 'ss': return pad(date.getUTCSeconds(), 2)
+      case 'mm': return minute ? pad(date.getUTCMinutes(), 2) : pad(date.getUTCMonth() + 1, 2)
+      case 'm': return date.getUTCMonth() + 1
+      case 'dd': return pad(date.getUTCDate(), 2)
+      case 'd': return date.getUTCDate()
+    }
+  })
+}
+
+module.exports = {
+  getFormat,
+  parseNumber,
+  parseDate,
+  parseEntered,
+  formatValue
+}
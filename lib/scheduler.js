@@ -0,0 +1,149 @@
+const RETRY_STATUS = [429, 500, 502, 503, 504]
+const RETRY_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED']
+
+/**
+ * Request scheduler with concurrency, rate limiting and retry
+ *
+ * @example
+ *  new Scheduler({
+ *    concurrency: 4,
+ *    rateLimit: { requests: 60, interval: 60000 },
+ *    retry: { retries: 5, minDelay: 500, maxDelay: 32000 }
+ *  })
+ */
+class Scheduler {
+  /**
+   * @param {Object} options
+   *  - concurrency Max running tasks, default 4
+   *  - rateLimit Token bucket for each key, `requests` per `interval` milliseconds, default no limit
+   *  - retry Retry options or `false`, default 5 retries with backoff from 500ms to 32s
+   */
+  constructor (options) {
+    const { concurrency = 4, rateLimit = null, retry } = options || {}
+    this.concurrency = concurrency
+    this.rateLimit = rateLimit
+    this.retry = retry === false ? { retries: 0 } : { retries: 5, minDelay: 500, maxDelay: 32000, ...retry }
+    this.running = 0
+    this.queue = []
+    this.buckets = new Map()
+  }
+
+  /**
+   * Run the task with retry
+   *
+   * Only idempotent tasks are retried on server and network errors, the others
+   * only on 429 as the request was not processed.
+   *
+   * @param {Function} task
+   * @param {Object} options
+   *  - key Rate limit key, such as spreadsheet id
+   *  - idempotent
+   */
+  async run (task, options) {
+    const { key, idempotent = false } = options || {}
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.schedule(task, key)
+      } catch (err) {
+        if (attempt >= this.retry.retries || !this.isRetryable(err, idempotent)) throw err
+        await this.sleep(this.getDelay(err, attempt))
+      }
+    }
+  }
+
+  /**
+   * Queue the task to run with the concurrency and the rate limit
+   *
+   * The token is taken before the slot, so a throttled key does not hold the
+   * slots while waiting and block the other keys.
+   *
+   * @param {Function} task
+   * @param {String} key
+   */
+  async schedule (task, key) {
+    await this.take(key)
+    if (this.running >= this.concurrency) {
+      await new Promise(resolve => this.queue.push(resolve))
+    }
+    this.running++
+    try {
+      return await task()
+    } finally {
+      this.running--
+      const next = this.queue.shift()
+      if (next) next()
+    }
+  }
+
+  /**
+   * Take a token from the bucket of the key, wait for refill if empty
+   *
+   * @param {String} key
+   */
+  async take (key) {
+    if (!this.rateLimit) return
+    const { requests, interval } = this.rateLimit
+    const now = Date.now()
+    let bucket = this.buckets.get(key)
+    if (!bucket) {
+      bucket = { tokens: requests, time: now }
+      this.buckets.set(key, bucket)
+    }
+
+    bucket.tokens = Math.min(requests, bucket.tokens + (now - bucket.time) * requests / interval)
+    bucket.time = now
+    bucket.tokens--
+    if (bucket.tokens < 0) {
+      await this.sleep(-bucket.tokens * interval / requests)
+    }
+  }
+
+  /**
+   * Check if the error should be retried
+   *
+   * @param {Error} err
+   * @param {Boolean} idempotent
+   */
+  isRetryable (err, idempotent) {
+    const status = this.getStatus(err)
+    if (status === 429) return true
+    if (!idempotent) return false
+    return RETRY_STATUS.includes(status) || RETRY_CODES.includes(err && err.code)
+  }
+
+  /**
+   * Get delay before the next attempt, Retry-After or exponential backoff with full jitter
+   *
+   * @param {Error} err
+   * @param {Number} attempt
+   */
+  getDelay (err, attempt) {
+    const headers = err && err.response && err.response.headers
+    const retryAfter = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'])
+    if (retryAfter) {
+      const seconds = Number(retryAfter)
+      const delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000
+      if (!isNaN(delay)) return Math.max(0, delay)
+    }
+    const { minDelay, maxDelay } = this.retry
+    return Math.random() * Math.min(maxDelay, minDelay * Math.pow(2, attempt))
+  }
+
+  /**
+   * Get HTTP status of the error
+   *
+   * @param {Error} err
+   */
+  getStatus (err) {
+    if (!err) return
+    if (err.response && err.response.status) return err.response.status
+    if (typeof err.code === 'number') return err.code
+    if (/^\d+$/.test(err.code)) return parseInt(err.code)
+  }
+
+  sleep (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+  }
+}
+
+module.exports = Scheduler
@@ -0,0 +1,242 @@
+const { ValidationError } = require('./errors')
+
+const TYPES = ['string', 'number', 'boolean', 'date', 'json', 'enum']
+
+/**
+ * Sheet schema to cast cells on read and validate documents on write
+ *
+ * @example
+ *  {
+ *    age: 'number',
+ *    name: { type: 'string', required: true, pattern: /^\w+$/ },
+ *    status: { type: 'enum', enum: ['draft', 'published'], default: 'draft' },
+ *    published_at: 'date',
+ *    meta: 'json'
+ *  }
+ */
+class Schema {
+  constructor (definition) {
+    this.fields = {}
+    Object.keys(definition || {}).forEach(key => {
+      let field = definition[key]
+      if (typeof field === 'string') field = { type: field }
+      else if (Array.isArray(field)) field = { type: 'enum', enum: field }
+      field = { type: field.enum ? 'enum' : 'string', ...field }
+      if (!TYPES.includes(field.type)) throw new Error(`unknown schema type "${field.type}" for ${key}`)
+      if (typeof field.pattern === 'string') field.pattern = new RegExp(field.pattern)
+      this.fields[key] = field
+    })
+  }
+
+  /**
+   * Create schema from definition or schema
+   *
+   * @param {Object|Schema} schema
+   */
+  static from (schema) {
+    return schema instanceof Schema ? schema : new Schema(schema)
+  }
+
+  /**
+   * Get declared type of the field
+   *
+   * @param {String} key
+   */
+  typeOf (key) {
+    const field = this.fields[key]
+    return field && field.type
+  }
+
+  /**
+   * Cast a row from cell texts to typed values
+   *
+   * @param {Object} data
+   * @param {Object} options
+   *  - toNumber Parse number of the cell text, such as with the separators of the spreadsheet locale
+   */
+  cast (data, options) {
+    Object.keys(this.fields).forEach(key => {
+      if (key in data) data[key] = this.castValue(key, data[key], options)
+    })
+    return data
+  }
+
+  /**
+   * Cast cell text to the declared type
+   *
+   * @param {String} key
+   * @param {Mixed} value
+   * @param {Object} options See "cast"
+   */
+  castValue (key, value, options) {
+    const type = this.typeOf(key)
+    if (!type || type === 'string' || type === 'enum') return value
+    if (value === '' || value === null || value === undefined) return null
+    if (typeof value !== 'string') return value
+
+    switch (type) {
+      case 'number': {
+        const number = this.toNumber(value, options)
+        return isNaN(number) ? value : number
+      }
+      case 'boolean':
+        if (/^(true|yes|1)$/i.test(value)) return true
+        if (/^(false|no|0)$/i.test(value)) return false
+        return value
+      case 'date': {
+        const date = new Date(value)
+        return isNaN(date.getTime()) ? value : date
+      }
+      case 'json':
+        try {
+          return JSON.parse(value)
+        } catch (err) {
+          return value
+        }
+    }
+    return value
+  }
+
+  /**
+   * Apply default values to the document
+   *
+   * @param {Object} doc
+   */
+  applyDefaults (doc) {
+    const result = { ...doc }
+    Object.keys(this.fields).forEach(key => {
+      const field = this.fields[key]
+      if ('default' in field && this.isEmpty(result[key])) {
+        result[key] = typeof field.default === 'function' ? field.default(result) : field.default
+      }
+    })
+    return result
+  }
+
+  /**
+   * Validate the document and return the errors
+   *
+   * @param {Object} doc
+   * @param {Object} options
+   *  - partial Only validate the fields in the document
+   *  - toNumber See "cast"
+   */
+  validate (doc, options) {
+    const { partial = false } = options || {}
+    const errors = []
+    const keys = partial ? Object.keys(doc).filter(key => this.fields[key]) : Object.keys(this.fields)
+
+    keys.forEach(key => {
+      const field = this.fields[key]
+      const value = doc[key]
+      if (this.isEmpty(value)) {
+        if (field.required) errors.push({ field: key, message: 'is required', value })
+        return
+      }
+
+      const message = this.checkValue(field, value, options)
+      if (message) errors.push({ field: key, message, value })
+    })
+
+    return errors
+  }
+
+  /**
+   * Check a non-empty value against the field
+   *
+   * @param {Object} field
+   * @param {Mixed} value
+   * @param {Object} options See "cast"
+   */
+  checkValue (field, value, options) {
+    switch (field.type) {
+      case 'number':
+        if (isNaN(this.toNumber(value, options))) return 'must be a number'
+        break
+      case 'boolean':
+        if (typeof value !== 'boolean' && !/^(true|false|yes|no|1|0)$/i.test(String(value))) return 'must be a boolean'
+        break
+      case 'date':
+        if (isNaN(new Date(value).getTime())) return 'must be a date'
+        break
+      case 'json':
+        if (typeof value === 'string') {
+          try {
+            JSON.parse(value)
+          } catch (err) {
+            return 'must be JSON'
+          }
+        }
+        break
+      case 'string':
+      case 'enum':
+        if (typeof value === 'object') return `must be a ${field.type === 'enum' ? 'value of enum' : 'string'}`
+    }
+
+    if (field.enum && !field.enum.map(String).includes(String(value))) return `must be one of ${field.enum.join(', ')}`
+    if (field.pattern && !field.pattern.test(String(value))) return `must match ${field.pattern}`
+  }
+
+  /**
+   * Validate the document and convert it to cell values
+   *
+   * @param {Object} doc
+   * @param {Object} options
+   *  - partial Only validate the fields in the document, no defaults
+   *  - toNumber See "cast"
+   */
+  prepare (doc, options) {
+    const { partial = false } = options || {}
+    const data = partial ? { ...doc } : this.applyDefaults(doc)
+    const errors = this.validate(data, options)
+    if (errors.length) throw new ValidationError(errors)
+    return this.serialize(data, options)
+  }
+
+  /**
+   * Convert typed values to cell values
+   *
+   * @param {Object} doc
+   * @param {Object} options See "cast"
+   */
+  serialize (doc, options) {
+    const result = { ...doc }
+    Object.keys(result).forEach(key => {
+      const value = result[key]
+      if (this.isEmpty(value)) return
+      switch (this.typeOf(key)) {
+        case 'date':
+          result[key] = value instanceof Date ? value.toISOString() : value
+          break
+        case 'json':
+          result[key] = typeof value === 'string' ? value : JSON.stringify(value)
+          break
+        case 'number':
+          result[key] = this.toNumber(value, options)
+          break
+        case 'boolean':
+          result[key] = typeof value === 'boolean' ? value : /^(true|yes|1)$/i.test(String(value))
+          break
+      }
+    })
+    return result
+  }
+
+  /**
+   * Parse number with the `toNumber` option, or with `,` as group separator
+   *
+   * @param {Mixed} value
+   * @param {Object} options See "cast"
+   */
+  toNumber (value, options) {
+    const { toNumber } = options || {}
+    if (typeof value === 'number') return value
+    return toNumber ? toNumber(value) : Number(String(value).replace(/,/g, ''))
+  }
+
+  isEmpty (value) {
+    return value === undefined || value === null || value === ''
+  }
+}
+
+module.exports = Schema
@@ -1,129 +1,1467 @@
+const crypto = require('crypto')
+const { Readable } = require('stream')
+const Aggregation = require('./aggregation')
+const Batch = require('./batch')
+const formats = require('./formats')
+const Hooks = require('./hooks')
+const localeFormat = require('./locale')
+const Schema = require('./schema')
 const Spreadsheet = require('./spreadsheet')
+const Watcher = require('./watcher')
+const { ConflictError, DuplicateKeyError, ValidationError } = require('./errors')
 
 class Sheet {
   constructor (options) {
     this.options = { ...options }
-    this.spreadsheet = new Spreadsheet(this.options)
+    this.spreadsheet = this.options.spreadsheet || new Spreadsheet(this.options)
+    this.schema = this.options.schema ? Schema.from(this.options.schema) : null
+    this.key = this.options.key ? typeof this.options.key === 'string' ? { field: this.options.key } : { ...this.options.key } : null
+    if (this.key && this.key.generate && !['uuid', 'increment'].includes(this.key.generate)) {
+      throw new Error(`unknown key generator "${this.key.generate}"`)
+    }
+    this.revision = this.options.revision === true ? '_rev' : this.options.revision || null
+    this.verify = this.options.verify !== undefined ? !!this.options.verify : !!this.revision
+    this.hooks = this.options.hooks || new Hooks()
+    const timestamps = this.options.timestamps
+    this.timestamps = timestamps ? { createdAt: 'created_at', updatedAt: 'updated_at', ...(typeof timestamps === 'object' && timestamps) } : null
+    this.softDelete = this.options.softDelete === true ? 'deleted_at' : this.options.softDelete || null
+    this.numberFormat = null
+  }
+
+  /**
+   * Get raw spreadsheet data, see "Spreadsheet.load"
+   *
+   * @param {Object} options
+   *  - values Include values of all the sheets, only the metadata is loaded by default
+   * @returns {Object} `{ id, url, title, locale, timezone, sheets }`
+   */
+  async raw (options) {
+    return this.spreadsheet.load(options)
+  }
+
+  /**
+   * Insert new row with json data
+   *
+   * @param {Object|Array} data
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  async insert (data, options) {
+    const header = await this.getHeader()
+    const addHeaders = []
+    const values = []
+    const context = { sheet: this, operation: 'insert', data: Array.isArray(data) ? data : [data], options }
+    await this.runHooks('before', 'insert', context)
+    data = await this.prepareInsert(context.data)
+
+    data.forEach(item => {
+      // eslint-disable-next-line no-array-constructor
+      const value = new Array()
+      Object.keys(item).forEach(key => {
+        let index = header.indexOf(key)
+        if (index === -1) {
+          addHeaders.push(key)
+          index = header.push(key) - 1
+        }
+        value[index] = item[key]
+      })
+      values.push(value)
+    })
+
+    if (addHeaders.length) {
+      await this.updateHeader(header, options)
+    }
+
+    const ret = await this.spreadsheet.append({ ...this.writeOptions(options), data: values, sheet: this.options.sheet })
+    values.unshift(header)
+    const rows = this.valuesToData(values, { startRow: ret.startRow })
+    rows.forEach(row => this.notify({ type: 'insert', before: null, after: row }))
+    context.result = rows
+    await this.runHooks('after', 'insert', context)
+    return context.result
+  }
+
+  /**
+   * Create rows, the same as "insert"
+   *
+   * @param {Object|Array} data
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  create (data, options) {
+    return this.insert(data, options)
+  }
+
+  /**
+   * Replace the whole sheet with the data in a single request
+   *
+   * The header is the union of the keys of the rows, the old cells are
+   * cleared and the rows and columns beyond the data are deleted. Hooks are
+   * not run.
+   *
+   * @param {Object|Array} data
+   * @param {Object} options
+   *  - trim Delete the surplus rows and columns, default true
+   *  - header Columns to keep first in the header, such as the old header
+   *  - valueInputOption, safe Write options, see "writeOptions"
+   * @returns {Array} Written rows
+   */
+  async flush (data, options) {
+    const { trim = true, header: columns, ...writeOptions } = options || {}
+    data = await this.prepareInsert(Array.isArray(data) ? data : [data], [])
+    const header = columns ? columns.slice() : []
+    data.forEach(item => Object.keys(item).forEach(key => {
+      if (!header.includes(key)) header.push(key)
+    }))
+    const values = [header].concat(data.map(item => header.map(key => item[key])))
+
+    const selectedSheet = await this.spreadsheet.getSheet(this.options.sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+    const backend = this.spreadsheet.backend
+    const sheetId = selectedSheet.id
+    const rowCount = values.length
+    const columnCount = Math.max(header.length, 1)
+    const { locale } = await this.spreadsheet.load()
+    const cellOptions = { ...this.writeOptions(writeOptions), locale }
+
+    const requests = backend.expandRequests({
+      sheetId,
+      rows: Math.max(rowCount - selectedSheet.rowCount, 0),
+      columns: Math.max(columnCount - selectedSheet.columnCount, 0)
+    })
+    requests.push(...backend.cellRequests({ range: { sheetId } }, values.map(line => line.map(value => backend.toCellData(value, cellOptions)))))
+    if (trim) {
+      const { requests: deletes } = backend.deleteRequests(sheetId, {
+        rows: rowCount < selectedSheet.rowCount ? { start: rowCount + 1, limit: selectedSheet.rowCount - rowCount } : null,
+        columns: columnCount < selectedSheet.columnCount ? { start: columnCount + 1, limit: selectedSheet.columnCount - columnCount } : null
+      })
+      requests.push(...deletes)
+    }
+    await this.spreadsheet.request({ requests })
+
+    return this.valuesToData(values, { startRow: 2 })
+  }
+
+  /**
+   * Assign keys, apply defaults, validate and serialize the rows to insert
+   *
+   * @param {Array} data
+   * @param {Array} rows Existing rows to check the keys, loaded if not given
+   */
+  async prepareInsert (data, rows) {
+    await this.loadNumberFormat()
+    if (this.key) data = await this.assignKeys(data, rows)
+
+    if (this.schema) {
+      const errors = []
+      data = data.map((item, index) => {
+        item = this.schema.applyDefaults(item)
+        this.schema.validate(item, this.schemaOptions()).forEach(error => errors.push({ ...error, index }))
+        return item
+      })
+      if (errors.length) throw new ValidationError(errors)
+      data = data.map(item => this.schema.serialize(item, this.schemaOptions()))
+    }
+    if (this.revision) data = data.map(item => ({ ...item, [this.revision]: 1 }))
+    if (this.timestamps) {
+      const now = await this.timestamp()
+      const { createdAt, updatedAt } = this.timestamps
+      data = data.map(item => {
+        item = { ...item }
+        if (createdAt && this.toText(item[createdAt]) === '') item[createdAt] = now
+        if (updatedAt && this.toText(item[updatedAt]) === '') item[updatedAt] = now
+        return item
+      })
+    }
+    return data
+  }
+
+  /**
+   * Update rows that matched the query
+   *
+   * @param {Object|null} query
+   * @param {Object} update
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  async update (query, update, options) {
+    const { result } = await this.updateRows(query, update, options)
+    return result
+  }
+
+  /**
+   * Update rows that matched the query
+   *
+   * @param {Object|null} query
+   * @param {Object} update
+   * @param {Object} options Write options, see "writeOptions"
+   * @returns {Object} `{ matchedCount, modifiedCount, rows }`, rows are the row no of the updated rows
+   */
+  async updateMany (query, update, options) {
+    const { data, docs } = await this.updateRows(query, update, options)
+    return this.updateResult(data, docs)
+  }
+
+  /**
+   * Update the first row that matched the query
+   *
+   * @param {Object|null} query
+   * @param {Object} update
+   * @param {Object} options
+   *  - sort Sort to pick the first row
+   *  - valueInputOption, safe Write options, see "writeOptions"
+   * @returns {Object} `{ matchedCount, modifiedCount, rows }`
+   */
+  updateOne (query, update, options) {
+    return this.updateMany(query, update, { ...options, limit: 1 })
+  }
+
+  /**
+   * Update the first row that matched the query and get it
+   *
+   * @param {Object|null} query
+   * @param {Object} update
+   * @param {Object} options
+   *  - returnDocument before (default) or after the update
+   *  - sort Sort to pick the first row
+   *  - valueInputOption, safe Write options, see "writeOptions"
+   * @returns {Object|null} The row, null if no row matched
+   */
+  async findOneAndUpdate (query, update, options) {
+    const { returnDocument = 'before', ...rest } = options || {}
+    if (!['before', 'after'].includes(returnDocument)) throw new Error(`returnDocument "${returnDocument}" is not supported`)
+    const { data, docs } = await this.updateRows(query, update, { ...rest, limit: 1 })
+    if (!data.length) return null
+    return returnDocument === 'after' ? { ...data[0], ...this.castDoc(docs[0]) } : data[0]
+  }
+
+  /**
+   * Find, update and write the rows
+   *
+   * @param {Object|null} query
+   * @param {Object} update
+   * @param {Object} options
+   *  - sort, limit Rows to update, see "find"
+   *  - withDeleted Include soft deleted rows
+   *  - valueInputOption, safe Write options, see "writeOptions"
+   * @returns {Object} `{ data, docs, result }` rows, changed fields of each row and result of the write
+   */
+  async updateRows (query, update, options) {
+    const { withDeleted, sort, limit } = options || {}
+    const matched = await this.find(query, { header: 1, withDeleted, sort, limit })
+    const [updated] = await this.writeUpdates([{ query, update, rows: matched }], matched._header, options)
+    return updated
+  }
+
+  /**
+   * Run the update hooks of each update and write the rows in a single request
+   *
+   * @param {Array} updates `{ query, update, rows }` with the rows matched by the query
+   * @param {Array} header
+   * @param {Object} options Write options, see "writeOptions"
+   * @returns {Array} `{ data, docs, result }` of each update, see "updateRows"
+   */
+  async writeUpdates (updates, header, options) {
+    const contexts = []
+    for (const { query, update, rows } of updates) {
+      const context = { sheet: this, operation: 'update', query, update, rows, options }
+      await this.runHooks('before', 'update', context)
+      const resolved = await this.resolveUpdate(context.update)
+      if (this.key && context.rows.length) await this.checkKeyUpdate(context.rows, resolved)
+      contexts.push({ context, data: context.rows, update: resolved })
+    }
+    const data = [].concat(...contexts.map(updated => updated.data))
+    await this.verifyRows(data)
+
+    contexts.forEach(updated => {
+      updated.docs = updated.data.map(item => this.prepareUpdate(item, updated.update))
+    })
+    const docs = [].concat(...contexts.map(updated => updated.docs))
+    const columns = [].concat(...contexts.map(updated => this.updateColumns(updated.update)))
+    await this.writeRows(data, docs, header, options, columns)
+    data.forEach((item, i) => this.notify({ type: 'update', before: item, after: { ...item, ...docs[i] } }))
+
+    const results = []
+    for (const { context, data, docs } of contexts) {
+      context.result = { updatedRows: data.length }
+      await this.runHooks('after', 'update', context)
+      results.push({ data, docs, result: context.result })
+    }
+    return results
+  }
+
+  /**
+   * Get result of updated rows, the columns maintained by the sheet are not
+   * counted as modified
+   *
+   * @param {Array} data Rows
+   * @param {Array} docs Changed fields of each row
+   */
+  updateResult (data, docs) {
+    const managed = this.managedColumns()
+    const modified = data.filter((item, i) => {
+      const doc = this.castDoc(docs[i])
+      managed.forEach(key => delete doc[key])
+      return !this.isSameRow(doc, item)
+    })
+    return { matchedCount: data.length, modifiedCount: modified.length, rows: data.map(item => item._row) }
+  }
+
+  /**
+   * Cast the changed fields to the types of the schema, such as read by "find"
+   *
+   * @param {Object} doc
+   */
+  castDoc (doc) {
+    return this.schema ? this.schema.cast({ ...doc }, this.schemaOptions()) : { ...doc }
+  }
+
+  /**
+   * Write the changed fields to the rows
+   *
+   * The columns maintained by the sheet are added to the header if missing,
+   * other fields not in the header are ignored.
+   *
+   * @param {Array} data Rows
+   * @param {Array} docs Changed fields of each row
+   * @param {Array} header
+   * @param {Object} options Write options, see "writeOptions"
+   * @param {Array} columns Columns to add if missing, default "managedColumns"
+   */
+  async writeRows (data, docs, header, options, columns) {
+    const updateData = []
+    if (!data.length) return { updatedRows: 0 }
+    header = header || []
+    const missing = (columns || this.managedColumns()).filter(field => !header.includes(field) && docs.some(doc => field in doc))
+    if (missing.length) {
+      header.push(...missing)
+      await this.updateHeader(header, options)
+    }
+
+    data.forEach((item, i) => {
+      const line = {}
+      let row = item._row
+      Object.keys(docs[i]).forEach(key => {
+        const index = header.indexOf(key) + 1
+        if (index) line[index] = docs[i][key]
+      })
+
+      !updateData.some(i => i.row === row) && updateData.push({ row, data: line })
+    })
+    return this.spreadsheet.update({ ...this.writeOptions(options), data: updateData, sheet: this.options.sheet })
+  }
+
+  /**
+   * Columns maintained by the sheet
+   */
+  managedColumns () {
+    return [this.revision, this.timestamps && this.timestamps.updatedAt, this.softDelete].filter(Boolean)
+  }
+
+  /**
+   * Set the updated time to the update
+   *
+   * @param {Object} update
+   */
+  async stampUpdate (update) {
+    const updatedAt = this.timestamps && this.timestamps.updatedAt
+    if (!updatedAt || updatedAt in update) return update
+    return { ...update, [updatedAt]: await this.timestamp() }
+  }
+
+  /**
+   * Get current time in the timezone of the spreadsheet, such as `2020-01-31 08:00:00`
+   */
+  async timestamp () {
+    const { timezone } = await this.spreadsheet.load()
+    return this.formatDate(new Date(), timezone)
+  }
+
+  /**
+   * Format date in the timezone
+   *
+   * @param {Date} date
+   * @param {String} timeZone
+   */
+  formatDate (date, timeZone) {
+    let parts
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }).formatToParts(date)
+    } catch (err) {
+      // Unknown timezone
+      return date.toISOString()
+    }
+    const part = type => parts.find(p => p.type === type).value
+    return `${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}:${part('second')}`
+  }
+
+  /**
+   * Exclude soft deleted rows from the query
+   *
+   * @param {Object} query
+   * @param {Object} options
+   *  - withDeleted Include soft deleted rows
+   */
+  scopeQuery (query, options) {
+    const { withDeleted = false } = options || {}
+    if (!this.softDelete || withDeleted) return query
+    return { $and: [query || {}, { [this.softDelete]: { $empty: true } }] }
+  }
+
+  /**
+   * Restore soft deleted rows that matched the query
+   *
+   * @param {Object} query
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  restore (query, options) {
+    if (!this.softDelete) throw new Error('soft delete is not enabled for the sheet')
+    const deleted = { [this.softDelete]: { $empty: false } }
+    return this.update(query ? { $and: [query, deleted] } : deleted, { [this.softDelete]: '' }, { ...options, withDeleted: true })
+  }
+
+  /**
+   * Apply the update to the row, validate and serialize the changed fields
+   *
+   * @param {Object} item
+   * @param {Object} update
+   */
+  prepareUpdate (item, update) {
+    let doc = this.applyUpdate(item, update)
+    if (this.schema) doc = this.schema.prepare(doc, { partial: true, ...this.schemaOptions() })
+    if (this.revision) doc[this.revision] = (parseInt(item[this.revision]) || 0) + 1
+    return doc
+  }
+
+  /**
+   * Check the rows are not changed since they were read, so the rows written
+   * by row no are still the same rows
+   *
+   * @param {Array} data Rows read
+   */
+  async verifyRows (data) {
+    if (!this.verify || !data.length) return
+    const sheet = this.options.sheet
+    const rows = data.map(item => item._row)
+    const start = rows.reduce((a, b) => Math.min(a, b))
+    const end = rows.reduce((a, b) => Math.max(a, b))
+    await this.loadNumberFormat()
+    const header = await this.spreadsheet.list({ sheet, start: 1, limit: 1, fresh: true })
+    const values = await this.spreadsheet.list({ sheet, start, limit: end - start + 1, fresh: true })
+    const current = new Map(this.valuesToData([header[0] || [], ...values], { startRow: start }).map(item => [item._row, item]))
+
+    const conflicts = data.filter(item => !this.isSameRow(item, current.get(item._row))).map(item => item._row)
+    if (conflicts.length) {
+      const selectedSheet = await this.spreadsheet.getSheet(sheet)
+      this.spreadsheet.invalidate(selectedSheet && selectedSheet.id)
+      throw new ConflictError(conflicts)
+    }
+  }
+
+  /**
+   * Check the row has the same values as read
+   *
+   * @param {Object} item
+   * @param {Object} current
+   */
+  isSameRow (item, current) {
+    if (!current) return false
+    const text = value => value && typeof value === 'object' ? JSON.stringify(value) : this.toText(value)
+    return Object.keys(item).every(key => key === '_row' || text(item[key]) === text(current[key]))
+  }
+
+  /**
+   * Write inserts, updates, deletes and header changes of the sheet as a unit
+   *
+   * The operations are applied in order and sent in a single batchUpdate
+   * request, see "Batch". Results are returned for each operation.
+   *
+   * @example
+   *  sheet.bulkWrite([
+   *    { insert: { data: [{ name: 'Michael' }] } },
+   *    { update: { query: { name: 'Jordan' }, update: { age: '18' } } },
+   *    { delete: { query: { age: { $gt: 60 } } } },
+   *    { updateHeader: { header: ['id', 'name', 'age'] } }
+   *  ])
+   *
+   * @param {Array} operations
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  bulkWrite (operations, options) {
+    const batch = new Batch({ spreadsheet: this.spreadsheet })
+    const sheet = batch.sheet(this)
+    operations.forEach(operation => {
+      const type = Object.keys(operation)[0]
+      const { data, query, update, header, options: operationOptions } = operation[type] || {}
+      const writeOptions = { ...options, ...operationOptions }
+      switch (type) {
+        case 'insert':
+          return sheet.insert(data, writeOptions)
+        case 'update':
+          return sheet.update(query, update, writeOptions)
+        case 'delete':
+          return sheet.delete(query)
+        case 'updateHeader':
+          return sheet.updateHeader(header, writeOptions)
+        default:
+          throw new Error(`unknown operation "${type}"`)
+      }
+    })
+    return batch.commit()
+  }
+
+  /**
+   * Get write options of the sheet, overridden by the call
+   *
+   * @param {Object} options
+   *  - valueInputOption RAW (stored as-is) or USER_ENTERED (parsed such as typed in the UI, default)
+   *  - safe Escape strings beginning with =, +, - or @ so they are not evaluated as formula
+   */
+  writeOptions (options) {
+    const { valueInputOption, safe } = { valueInputOption: this.options.valueInputOption, safe: this.options.safe, ...options }
+    return { valueInputOption, safe }
+  }
+
+  /**
+   * Apply update to the row and get the changed fields
+   *
+   * Operators of a field are applied in order, numbers are parsed with the
+   * number format of the spreadsheet locale, see "resolveUpdate".
+   *
+   * @param {Object} item
+   * @param {Object} update
+   */
+  applyUpdate (item, update) {
+    const doc = {}
+    Object.keys(update).forEach(key => {
+      const value = update[key]
+      let current = item[key] === undefined || item[key] === null ? '' : item[key]
+      if (typeof value === 'string') {
+        doc[key] = value
+      } else if (typeof value === 'number') {
+        doc[key] = value
+      } else if (this.isOperator(key, value)) {
+        Object.keys(value).forEach(k => {
+          const v = value[k]
+          switch (k) {
+            case '$set':
+              current = v
+              break
+            case '$unset':
+              current = ''
+              break
+            case '$inc':
+              current = this.roundNumber(this.toNumber(current, 0) + this.toOperand(k, v))
+              break
+            case '$mul':
+              current = this.roundNumber(this.toNumber(current, 0) * this.toOperand(k, v))
+              break
+            case '$min':
+            case '$max':
+              if (current === '' || this.compareValues(v, current) * (k === '$min' ? 1 : -1) < 0) current = v
+              break
+            case '$rename':
+              if (typeof v !== 'string' || !v) throw new Error('$rename requires a column name')
+              if (v === key) break
+              doc[v] = current
+              current = ''
+              break
+            case '$push':
+            case '$addToSet':
+            case '$pull':
+              current = this.updateList(current, k, v)
+              break
+            case '$append':
+              current = current + String(v)
+              break
+            case '$prepend':
+              current = String(v) + current
+              break
+            case '$lowercase':
+              current = String(current).toLowerCase()
+              break
+            case '$uppercase':
+              current = String(current).toUpperCase()
+              break
+            case '$replace':
+              current = String(current).replace(new RegExp(Object.keys(v).join('|'), 'g'), (mv) => v[mv])
+              break
+            default:
+              throw new Error(`unknown update operator "${k}"`)
+          }
+          doc[key] = current
+        })
+      } else if (this.schema && value !== undefined) {
+        doc[key] = value
+      }
+    })
+    return doc
+  }
+
+  /**
+   * Normalize the update and resolve the values depending on the spreadsheet
+   *
+   * Top level operators such as `{ $set: { name: 'Michael' } }` are moved to
+   * the fields, `$currentDate` is set to the current time, the number format
+   * of the locale is loaded and the updated time is set.
+   *
+   * @param {Object} update
+   */
+  async resolveUpdate (update) {
+    const { timezone } = await this.spreadsheet.load()
+    await this.loadNumberFormat()
+    const resolved = {}
+    Object.keys(update || {}).forEach(key => {
+      const value = update[key]
+      if (key.charAt(0) !== '$') {
+        resolved[key] = value
+        return
+      }
+      if (!value || typeof value !== 'object') throw new Error(`${key} requires fields`)
+      Object.keys(value).forEach(field => {
+        const operators = this.isOperator(field, resolved[field]) ? resolved[field] : {}
+        resolved[field] = { ...operators, [key]: value[field] }
+      })
+    })
+
+    Object.keys(resolved).forEach(key => {
+      const value = resolved[key]
+      if (!this.isOperator(key, value) || !('$currentDate' in value)) return
+      const operators = {}
+      Object.keys(value).forEach(k => {
+        if (k === '$currentDate') operators.$set = this.formatDate(new Date(), timezone)
+        else operators[k] = value[k]
+      })
+      resolved[key] = operators
+    })
+    return this.stampUpdate(resolved)
+  }
+
+  /**
+   * Columns added to the header if the update writes them
+   *
+   * @param {Object} update
+   */
+  updateColumns (update) {
+    const columns = this.managedColumns()
+    Object.keys(update || {}).forEach(key => {
+      const value = update[key]
+      if (this.isOperator(key, value) && typeof value.$rename === 'string') columns.push(value.$rename)
+    })
+    return columns
+  }
+
+  /**
+   * Load the number format of the spreadsheet locale once, see "toNumber"
+   */
+  async loadNumberFormat () {
+    if (!this.numberFormat) {
+      const spreadsheet = await this.spreadsheet.load()
+      this.numberFormat = this.getNumberFormat(spreadsheet && spreadsheet.locale)
+    }
+    return this.numberFormat
+  }
+
+  /**
+   * Schema options to parse numbers with the number format of the sheet
+   */
+  schemaOptions () {
+    return { toNumber: value => this.toNumber(value) }
+  }
+
+  /**
+   * Get decimal and group separators of the locale, see "locale.getFormat"
+   *
+   * @param {String} locale Such as `en_US` or `de_DE`
+   */
+  getNumberFormat (locale) {
+    return localeFormat.getFormat(locale)
+  }
+
+  /**
+   * Parse number of the cell, such as `-1,234.5` in `en_US` or `1.234,5` in `de_DE`
+   *
+   * @param {Mixed} value
+   * @param {Number} defaults Returned for empty or not number value, NaN if not given
+   */
+  toNumber (value, defaults) {
+    if (typeof value === 'number') return value
+    if (value instanceof Date) return value.getTime()
+    const number = localeFormat.parseNumber(this.toText(value), this.numberFormat)
+    return isNaN(number) ? (defaults === undefined ? NaN : defaults) : number
+  }
+
+  /**
+   * Get number operand of the operator
+   *
+   * @param {String} operator
+   * @param {Mixed} value
+   */
+  toOperand (operator, value) {
+    const number = typeof value === 'string' ? this.toNumber(value) : Number(value)
+    if (value === null || value === '' || typeof value === 'boolean' || !isFinite(number)) {
+      throw new Error(`${operator} requires a number`)
+    }
+    return number
+  }
+
+  /**
+   * Round off floating point errors, such as 0.1 + 0.2
+   *
+   * @param {Number} number
+   */
+  roundNumber (number) {
+    return Number(number.toPrecision(15))
+  }
+
+  /**
+   * Compare values as numbers if both are, otherwise as text
+   *
+   * @param {Mixed} a
+   * @param {Mixed} b
+   * @returns {Number} Negative if a is less than b
+   */
+  compareValues (a, b) {
+    const x = this.toNumber(a)
+    const y = this.toNumber(b)
+    if (!isNaN(x) && !isNaN(y)) return x - y
+    const textA = this.toText(a)
+    const textB = this.toText(b)
+    return textA < textB ? -1 : textA > textB ? 1 : 0
+  }
+
+  /**
+   * Push, add or pull values of the list in the cell
+   *
+   * Array cells (json) are updated as arrays, text cells are split and joined
+   * with the `listDelimiter` of the sheet, default `,`.
+   *
+   * @param {Mixed} current
+   * @param {String} operator $push, $addToSet or $pull
+   * @param {Mixed} value Value, array or `{ $each: [...] }` of values
+   */
+  updateList (current, operator, value) {
+    const delimiter = this.options.listDelimiter || ','
+    const separator = delimiter.trim() || delimiter
+    const list = Array.isArray(current) ? current.slice() : this.toText(current) === '' ? [] : this.toText(current).split(separator).map(item => item.trim())
+    const values = Array.isArray(value) ? value : value && typeof value === 'object' && Array.isArray(value.$each) ? value.$each : [value]
+    const has = (items, v) => items.some(item => this.toText(item) === this.toText(v))
+
+    let result
+    if (operator === '$push') {
+      result = list.concat(values)
+    } else if (operator === '$addToSet') {
+      result = list
+      values.forEach(v => { if (!has(result, v)) result.push(v) })
+    } else {
+      result = list.filter(item => !has(values, item))
+    }
+    return Array.isArray(current) ? result : result.map(item => this.toText(item)).join(delimiter)
+  }
+
+  /**
+   * Update rows that matched the query, or insert a row if no row matched
+   *
+   * The inserted row is the update with the equality fields of the query.
+   *
+   * @param {Object} query
+   * @param {Object} update
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  async upsert (query, update, options) {
+    const count = await this.count(query)
+    if (count) {
+      const result = await this.update(query, update, options)
+      return { upserted: false, ...result }
+    }
+
+    const doc = {}
+    Object.keys(query || {}).forEach(key => {
+      const value = query[key]
+      if (key.charAt(0) === '$') return
+      if (typeof value === 'string' && !value.includes('*')) doc[key] = value
+      else if (['number', 'boolean'].includes(typeof value) || value instanceof Date) doc[key] = value
+      else if (value && typeof value === 'object' && '$eq' in value) doc[key] = value.$eq
+    })
+    const rows = await this.insert({ ...doc, ...this.applyUpdate({}, await this.resolveUpdate(update)) }, options)
+    return { upserted: true, row: rows[0] }
+  }
+
+  /**
+   * Find row by the key
+   *
+   * @param {Mixed} id
+   * @param {Object} options
+   */
+  findById (id, options) {
+    return this.findOne(this.keyQuery(id), options)
+  }
+
+  /**
+   * Update row by the key
+   *
+   * @param {Mixed} id
+   * @param {Object} update
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  updateById (id, update, options) {
+    return this.update(this.keyQuery(id), update, options)
+  }
+
+  /**
+   * Delete row by the key
+   *
+   * @param {Mixed} id
+   */
+  deleteById (id) {
+    return this.delete(this.keyQuery(id))
+  }
+
+  /**
+   * Build query to match the key
+   *
+   * @param {Mixed} id
+   */
+  keyQuery (id) {
+    if (!this.key) throw new Error('no key configured for the sheet')
+    if (id === undefined || id === null || id === '') throw new Error('no id specified')
+    return { [this.key.field]: { $eq: id } }
+  }
+
+  /**
+   * Generate missing keys and check the keys are unique
+   *
+   * @param {Array} data
+   * @param {Array} rows Existing rows, loaded if not given
+   */
+  async assignKeys (data, rows) {
+    const { field, generate } = this.key
+    rows = rows || await this.findAll()
+    const keys = new Set(rows.map(row => this.toText(row[field])).filter(key => key !== ''))
+    const duplicates = []
+    let increment = 0
+    if (generate === 'increment') {
+      rows.concat(data).forEach(row => {
+        const number = Number(row[field])
+        if (Number.isInteger(number) && number > increment) increment = number
+      })
+    }
+
+    const result = data.map(item => {
+      let id = item[field]
+      if (id === undefined || id === null || id === '') {
+        if (generate === 'uuid') id = this.createUuid()
+        else if (generate === 'increment') id = ++increment
+        else return item
+        item = { ...item, [field]: id }
+      }
+      const key = this.toText(id)
+      if (keys.has(key)) duplicates.push(id)
+      keys.add(key)
+      return item
+    })
+
+    const missing = result.map((item, index) => ({ item, index })).filter(({ item }) => item[field] === undefined || item[field] === null || item[field] === '')
+    if (missing.length) {
+      throw new ValidationError(missing.map(({ item, index }) => ({ field, message: 'is required', value: item[field], index })))
+    }
+    if (duplicates.length) throw new DuplicateKeyError(field, duplicates)
+    return result
+  }
+
+  /**
+   * Check the updated key is unique
+   *
+   * @param {Array} data Matched rows
+   * @param {Object} update
+   * @param {Array} rows Existing rows, loaded if not given
+   */
+  async checkKeyUpdate (data, update, rows) {
+    const { field } = this.key
+    const renamed = Object.keys(update).some(key => this.isOperator(key, update[key]) && update[key].$rename === field)
+    if (renamed) throw new Error('key can only be updated with a value')
+    if (!(field in update)) return
+    let value = update[field]
+    if (this.isOperator(field, value)) {
+      if (Object.keys(value).join() !== '$set') throw new Error('key can only be updated with a value')
+      value = value.$set
+    }
+    if (value === undefined || value === null || value === '') {
+      throw new ValidationError([{ field, message: 'is required', value }])
+    }
+    const matched = new Set(data.map(item => item._row))
+    const existed = rows || await this.findAll()
+    if (data.length > 1 || existed.some(row => !matched.has(row._row) && this.toText(row[field]) === this.toText(value))) {
+      throw new DuplicateKeyError(field, [value])
+    }
+  }
+
+  /**
+   * Create a random (version 4) UUID
+   */
+  createUuid () {
+    const bytes = crypto.randomBytes(16)
+    bytes[6] = (bytes[6] & 0x0f) | 0x40
+    bytes[8] = (bytes[8] & 0x3f) | 0x80
+    const hex = bytes.toString('hex')
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+  }
+
+  /**
+   * Check if the update value is an operators object
+   *
+   * @param {String} key
+   * @param {Mixed} value
+   */
+  isOperator (key, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Date) return false
+    if (this.schema && this.schema.typeOf(key) === 'json') return Object.keys(value).some(k => k.charAt(0) === '$')
+    return true
+  }
+
+  /**
+   * Delete rows that matched the query
+   *
+   * @param {Object} query
+   * @param {Object} options
+   *  - mode delete (default) or clear the cells, so the row no of the other rows are not changed
+   */
+  async delete (query, options) {
+    const { result } = await this.deleteRows(query, options)
+    return result
+  }
+
+  /**
+   * Delete rows that matched the query
+   *
+   * @param {Object} query
+   * @param {Object} options
+   *  - mode delete (default) or clear the cells
+   * @returns {Object} `{ deletedCount, rows }`, rows are the row no of the deleted rows before the delete
+   */
+  async deleteMany (query, options) {
+    const { data } = await this.deleteRows(query, options)
+    return this.deleteResult(data)
+  }
+
+  /**
+   * Delete the first row that matched the query
+   *
+   * @param {Object} query
+   * @param {Object} options
+   *  - sort Sort to pick the first row
+   *  - mode delete (default) or clear the cells
+   * @returns {Object} `{ deletedCount, rows }`
+   */
+  async deleteOne (query, options) {
+    const { data } = await this.deleteRows(query, { ...options, limit: 1 })
+    return this.deleteResult(data)
+  }
+
+  /**
+   * Delete the first row that matched the query and get it
+   *
+   * @param {Object} query
+   * @param {Object} options
+   *  - sort Sort to pick the first row
+   *  - mode delete (default) or clear the cells
+   * @returns {Object|null} The deleted row, null if no row matched
+   */
+  async findOneAndDelete (query, options) {
+    const { data } = await this.deleteRows(query, { ...options, limit: 1 })
+    return data[0] || null
+  }
+
+  /**
+   * Find and delete the rows, or set the deleted time with soft delete
+   *
+   * @param {Object} query
+   * @param {Object} options
+   *  - sort, limit Rows to delete, see "find"
+   *  - mode delete (default) or clear the cells, ignored with soft delete
+   * @returns {Object} `{ data, result }` rows and result of the delete
+   */
+  async deleteRows (query, options) {
+    const { sort, limit, mode } = options || {}
+    if (!query) throw new Error('no query specified')
+    const matched = await this.find(query, { header: 1, sort, limit })
+    const context = { sheet: this, operation: 'delete', query, rows: matched }
+    await this.runHooks('before', 'delete', context)
+    const data = context.rows
+    await this.verifyRows(data)
+    if (this.softDelete) {
+      const now = await this.timestamp()
+      await this.writeRows(data, data.map(item => this.prepareUpdate(item, { [this.softDelete]: now })), matched._header)
+      context.result = { ok: 1, deletedRowsCount: data.length, deletedColumnsCount: 0 }
+    } else {
+      const rows = data.map(item => item._row)
+      context.result = await this.spreadsheet.delete({ rows, mode, sheet: this.options.sheet })
+    }
+    data.forEach(item => this.notify({ type: 'delete', before: item, after: null }))
+    await this.runHooks('after', 'delete', context)
+    return { data, result: context.result }
   }
 
   /**
-   * Get raw
-   * @param {String} options
-   * @returns
+   * Get result of deleted rows
+   *
+   * @param {Array} data Rows
    */
-  async raw (options) {
-    return this.spreadsheet.load(options)
+  deleteResult (data) {
+    return { deletedCount: data.length, rows: data.map(item => item._row) }
   }
 
   /**
-   * Insert new row with json data
+   * Add a hook run before the operation, see "Hooks"
    *
-   * @param {Object|Array} data
+   * @example
+   *  sheet.before('update', ({ update }) => { update.updated_at = new Date().toISOString() })
+   *
+   * @param {String} operation insert, update or delete
+   * @param {Function} fn
    */
-  async insert (data) {
-    const header = await this.getHeader()
-    const addHeaders = []
-    const values = []
-    data = Array.isArray(data) ? data : [data]
+  before (operation, fn) {
+    this.hooks.add('before', operation, fn)
+    return this
+  }
 
-    data.forEach(item => {
-      // eslint-disable-next-line no-array-constructor
-      const value = new Array()
-      Object.keys(item).forEach(key => {
-        let index = header.indexOf(key)
-        if (index === -1) {
-          addHeaders.push(key)
-          index = header.push(key) - 1
-        }
-        value[index] = item[key]
-      })
-      values.push(value)
-    })
+  /**
+   * Add a hook run after the operation, see "Hooks"
+   *
+   * @param {String} operation insert, update or delete
+   * @param {Function} fn
+   */
+  after (operation, fn) {
+    this.hooks.add('after', operation, fn)
+    return this
+  }
 
-    if (addHeaders.length) {
-      await this.updateHeader(header)
-    }
+  /**
+   * Run the hooks of the sheetbase, then the hooks of the sheet
+   *
+   * @param {String} when before or after
+   * @param {String} operation
+   * @param {Object} context
+   */
+  async runHooks (when, operation, context) {
+    const sheetbase = this.options.sheetbase
+    if (sheetbase && sheetbase.hooks) await sheetbase.hooks.run(when, operation, context)
+    await this.hooks.run(when, operation, context)
+  }
 
-    const ret = await this.spreadsheet.append({ data: values, sheet: this.options.sheet })
-    values.unshift(header)
-    return this.valuesToData(values, { startRow: ret.startRow })
+  /**
+   * Watch the rows matched the query by polling, see "Watcher"
+   *
+   * @param {Object} query
+   * @param {Function} handler Called with each change
+   * @param {Object} options
+   *  - interval Polling interval in milliseconds, default 60000
+   *  - modifiedTime Read the rows only when the Drive `modifiedTime` of the spreadsheet changed
+   * @returns {Watcher}
+   */
+  watch (query, handler, options) {
+    const watcher = new Watcher(this, query, options)
+    if (handler) watcher.on('change', handler)
+    return watcher.start()
   }
 
   /**
-   * Update rows that matched the query
+   * Emit the change of rows on the sheetbase
+   *
+   * @param {Object} change `{ type, before, after }`, written through this library if no `source`
+   */
+  notify (change) {
+    const sheetbase = this.options.sheetbase
+    if (!sheetbase || typeof sheetbase.emit !== 'function') return
+    const row = change.after || change.before
+    const event = {
+      sheet: this.options.sheet,
+      key: this.key ? this.toText(row[this.key.field]) : row._row,
+      source: 'local',
+      ...change
+    }
+    sheetbase.emit(event.type, event)
+    sheetbase.emit('change', event)
+  }
+
+  /**
+   * Find rows that matched the query
    *
    * @param {Object|null} query
-   * @param {Object} update
+   * @param {Object|null} options
+   *  - skip
+   *  - limit
+   *  - sort
+   *  - projection Fields to include `{ name: 1 }`, exclude `{ name: 0 }` or rename `{ title: '$name' }`
+   *  - populate Referenced fields to attach the rows of other sheets `['author_id']`
+   *  - render text (default), value (unformatted), formula or cell (object with text, value, formula, note and hyperlink)
+   *  - pageSize Rows fetched at a time when `limit` is given without `sort`, default 500
+   *  - withDeleted Include soft deleted rows
    */
-  async update (query, update) {
-    const data = await this.find(query, { header: 1 })
-    const header = data._header
-    const updateData = []
-    data.forEach(item => {
-      const line = {}
-      let row = item._row
+  async find (query, options) {
+    const { populate, limit = 0, sort } = options || {}
+    query = this.scopeQuery(query, options)
+    const paged = limit > 0 && !(sort && Object.keys(sort).length)
+    const data = paged ? await this.findPages(query, options) : await this.findAll(options)
+    const result = this.filterData(data, query, options)
+    if (populate) await this.populate(result, populate)
+    return result
+  }
 
-      Object.keys(update).forEach(key => {
-        const index = header.indexOf(key) + 1
-        const value = update[key]
-        const orgValue = item[key] || ''
-        if (typeof value === 'string') {
-          line[index] = value
-        } else if (typeof value === 'number') {
-          line[index] = String(value)
-        } else if (typeof value === 'object') {
-          Object.keys(value).forEach(k => {
-            const v = value[k]
-            switch (k) {
-              case '$inc':
-                line[index] = String(parseInt(v) + ((typeof orgValue === 'number' || /^\d+$/.test(orgValue)) ? parseInt(orgValue) : 0))
-                break
-              case '$append':
-                line[index] = orgValue + String(v)
-                break
-              case '$prepend':
-                line[index] = String(v) + orgValue
-                break
-              case '$lowercase':
-                line[index] = orgValue.toLowerCase()
-                break
-              case '$uppercase':
-                line[index] = orgValue.toUpperCase()
-                break
-              case '$replace':
-                line[index] = orgValue.replace(new RegExp(Object.keys(v).join('|'), 'g'), (mv) => v[mv])
-                break
-            }
-          })
-        }
+  /**
+   * Attach referenced rows of other sheets to the rows
+   *
+   * The references are declared with the `refs` option, every referenced
+   * sheet is loaded once.
+   *
+   * @example
+   *  refs: { author_id: { sheet: 'authors', key: 'id', as: 'author' } }
+   *
+   * @param {Array} data
+   * @param {String|Array} fields
+   */
+  async populate (data, fields) {
+    const refs = this.options.refs || {}
+    const indexes = {}
+    fields = Array.isArray(fields) ? fields : [fields]
+
+    for (const field of fields) {
+      const ref = refs[field]
+      if (!ref) throw new Error(`no reference declared for ${field}`)
+      const { sheet, as = field } = typeof ref === 'object' ? ref : { sheet: ref }
+      const target = this.sibling(sheet)
+      const key = ref.key || (target.key && target.key.field) || 'id'
+      const indexKey = JSON.stringify([sheet, key])
+
+      if (!indexes[indexKey]) {
+        const rows = await target.findAll()
+        indexes[indexKey] = new Map()
+        rows.forEach(row => {
+          const id = this.toText(row[key])
+          if (!indexes[indexKey].has(id)) indexes[indexKey].set(id, row)
+        })
+      }
+
+      const index = indexes[indexKey]
+      data.forEach(item => {
+        if (!(field in item)) return
+        const value = item[field]
+        item[as] = Array.isArray(value) ? value.map(v => index.get(this.toText(v)) || null) : index.get(this.toText(value)) || null
       })
+    }
 
-      !updateData.some(i => i.row === row) && updateData.push({ row, data: line })
+    return data
+  }
+
+  /**
+   * Count rows that matched the query
+   *
+   * @param {Object|null} query
+   * @param {Object} options
+   *  - withDeleted Include soft deleted rows
+   */
+  async count (query, options) {
+    const data = await this.findAll()
+    return this.filterData(data, this.scopeQuery(query, options)).length
+  }
+
+  /**
+   * Get distinct values of the field in rows that matched the query, empty cells are ignored
+   *
+   * @param {String} field
+   * @param {Object|null} query
+   * @param {Object} options
+   *  - withDeleted Include soft deleted rows
+   */
+  async distinct (field, query, options) {
+    const data = await this.findAll()
+    const values = new Map()
+    this.filterData(data, this.scopeQuery(query, options)).forEach(item => {
+      const value = item[field]
+      if (value === undefined || value === null || value === '') return
+      const id = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : `${typeof value}:${value}`
+      if (!values.has(id)) values.set(id, value)
     })
-    return this.spreadsheet.update({ data: updateData, sheet: this.options.sheet })
+    return Array.from(values.values())
   }
 
   /**
-   * Delete rows that matched the query
+   * Aggregate rows with the pipeline
    *
-   * @param {Object} query
+   * @param {Array} pipeline $match, $group, $sort, $project, $skip, $limit, $unwind and $lookup stages
    */
-  async delete (query) {
-    if (!query) throw new Error('no query specified')
-    const rows = (await this.find(query)).map(item => item._row)
-    return this.spreadsheet.delete({ rows, sheet: this.options.sheet })
+  async aggregate (pipeline) {
+    const aggregation = new Aggregation(this, pipeline)
+    const data = await this.findAll()
+    return aggregation.run(this.softDelete ? this.filterData(data, this.scopeQuery()) : data)
   }
 
   /**
-   * Find rows that matched the query
+   * Get another sheet in the same spreadsheet
+   *
+   * @param {Mixed} sheet
+   * @param {Object} options
+   */
+  sibling (sheet, options) {
+    if (this.options.sheetbase) return this.options.sheetbase.sheet(sheet, options)
+    return new Sheet({ ...this.options, schema: null, refs: null, ...options, sheet, spreadsheet: this.spreadsheet })
+  }
+
+  /**
+   * Get all rows of the sheet
+   *
+   * @param {Object|null} options
+   */
+  async findAll (options) {
+    const { skip, limit, sort, projection, populate, pageSize, withDeleted, ...listOptions } = options || {}
+    const values = await this.spreadsheet.list({ sheet: this.options.sheet, ...listOptions })
+    await this.loadNumberFormat()
+    return this.valuesToData(values, options)
+  }
+
+  /**
+   * Get rows page by page until enough rows matched the query
    *
    * @param {Object|null} query
    * @param {Object|null} options
    */
-  async find (query, options) {
-    const values = await this.spreadsheet.list({ sheet: this.options.sheet, ...options })
-    const data = this.valuesToData(values, options)
-    return this.filterData(data, query, options)
+  async findPages (query, options) {
+    const { skip = 0, limit, sort, projection, populate, pageSize = this.options.pageSize || 500, withDeleted, ...listOptions } = options || {}
+    const sheet = this.options.sheet
+    const selectedSheet = await this.spreadsheet.getSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+
+    const header = await this.spreadsheet.list({ ...listOptions, sheet, start: 1, limit: 1 })
+    if (!header.length) return []
+    await this.loadNumberFormat()
+
+    const filterFn = this.buildFilterFn(query)
+    const data = []
+    let matched = 0
+    for (let start = 2; start <= selectedSheet.rowCount && matched < skip + limit; start += pageSize) {
+      const values = await this.spreadsheet.list({ ...listOptions, sheet, start, limit: pageSize })
+      const page = this.valuesToData([header[0], ...values], { ...options, startRow: start })
+      page.forEach(item => {
+        if (filterFn(item)) matched++
+        data.push(item)
+      })
+      if (page._header) data._header = page._header
+      if (page._cells) data._cells = new Map([...(data._cells || []), ...page._cells])
+    }
+    return data
+  }
+
+  /**
+   * Iterate rows that matched the query page by page
+   *
+   * All the rows are read at once if `sort` is given.
+   *
+   * @param {Object|null} query
+   * @param {Object|null} options Options of "find"
+   */
+  async * iterate (query, options) {
+    const { skip = 0, limit = 0, sort, projection, pageSize = this.options.pageSize || 500, render } = options || {}
+    if (sort && Object.keys(sort).length) {
+      yield await this.find(query, options)
+      return
+    }
+
+    const sheet = this.options.sheet
+    const selectedSheet = await this.spreadsheet.getSheet(sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+    const header = await this.spreadsheet.list({ sheet, start: 1, limit: 1, render })
+    if (!header.length) return
+    await this.loadNumberFormat()
+
+    query = this.scopeQuery(query, options)
+    let skipped = 0
+    let count = 0
+    for (let start = 2; start <= selectedSheet.rowCount; start += pageSize) {
+      const values = await this.spreadsheet.list({ sheet, start, limit: pageSize, render })
+      let result = this.filterData(this.valuesToData([header[0], ...values], { render, startRow: start }), query)
+      if (skipped < skip) {
+        const length = result.length
+        result = result.slice(skip - skipped)
+        skipped += length - result.length
+      }
+      if (limit > 0) result = result.slice(0, limit - count)
+      count += result.length
+      if (projection) result = this.project(result, projection)
+      if (result.length) yield result
+      if (limit > 0 && count >= limit) break
+    }
+  }
+
+  /**
+   * Export rows that matched the query
+   *
+   * @param {Object} options
+   *  - format csv (default), tsv, json or ndjson
+   *  - query
+   *  - stream Return a readable stream, the rows are read page by page
+   *  - sort, skip, limit, projection, render, withDeleted Options of "find"
+   * @returns {String|Readable}
+   */
+  async export (options) {
+    const { format = 'csv', query, stream = false, ...findOptions } = options || {}
+    formats.check(format)
+    const columns = ['csv', 'tsv'].includes(format) ? this.exportColumns(await this.getHeader(), findOptions.projection) : null
+    const serializer = formats.serializer(format, columns)
+    const sheet = this
+    const chunks = async function * () {
+      let index = 0
+      yield serializer.start
+      for await (const rows of sheet.iterate(query, findOptions)) {
+        yield rows.map(({ _row, ...item }) => serializer.row(item, index++)).join('')
+      }
+      yield serializer.end
+    }
+
+    if (stream) return Readable.from(chunks())
+    let text = ''
+    for await (const chunk of chunks()) text += chunk
+    return text
+  }
+
+  /**
+   * Get exported columns with the projection
+   *
+   * @param {Array} header
+   * @param {Object} projection
+   */
+  exportColumns (header, projection) {
+    header = header.filter(Boolean)
+    if (!projection) return header
+    const keys = Object.keys(projection).filter(key => key !== '_row')
+    if (keys.some(key => projection[key])) return keys.filter(key => projection[key])
+    return header.filter(key => !keys.includes(key))
+  }
+
+  /**
+   * Import rows
+   *
+   * Columns not in the header are added. The rows are written in chunks to
+   * keep the requests in the payload limits.
+   *
+   * @param {String|Buffer|Readable|Array} source Text, stream or rows data
+   * @param {Object} options
+   *  - format csv (default), tsv, json or ndjson
+   *  - mode append (default), replace (replace all rows with "flush" in a single request) or upsert (update rows with the same key)
+   *  - chunkSize Max rows in a request, default 500
+   *  - chunkBytes Max JSON size of the rows in a request, default 2MB
+   *  - valueInputOption, safe Write options, see "writeOptions"
+   * @returns {Object} `{ insertedCount, updatedCount, deletedCount }`
+   */
+  async import (source, options) {
+    const { format = 'csv', mode = 'append', chunkSize = 500, chunkBytes = 2 * 1024 * 1024, ...writeOptions } = options || {}
+    if (!['append', 'replace', 'upsert'].includes(mode)) throw new Error(`mode "${mode}" is not supported`)
+    if (mode === 'upsert' && !this.key) throw new Error('no key configured for the sheet')
+    const data = Array.isArray(source) ? source : formats.parse(await this.readSource(source), format)
+    const result = { insertedCount: 0, updatedCount: 0, deletedCount: 0 }
+
+    if (mode === 'replace') {
+      // The old rows are replaced in the same request, so they are kept if it fails
+      const values = await this.spreadsheet.list({ sheet: this.options.sheet })
+      const rows = await this.flush(data, { ...writeOptions, header: values[0] || [] })
+      return { ...result, insertedCount: rows.length, deletedCount: Math.max(values.length - 1, 0) }
+    }
+
+    for (const chunk of this.chunk(data, chunkSize, chunkBytes)) {
+      if (mode === 'upsert') {
+        const ret = await this.upsertRows(chunk, writeOptions)
+        result.insertedCount += ret.insertedCount
+        result.updatedCount += ret.updatedCount
+      } else {
+        result.insertedCount += (await this.insert(chunk, writeOptions)).length
+      }
+    }
+    return result
+  }
+
+  /**
+   * Update the rows with the same key, insert the others
+   *
+   * @param {Array} data
+   * @param {Object} options Write options, see "writeOptions"
+   */
+  async upsertRows (data, options) {
+    const { field } = this.key
+    const rows = await this.findAll({ header: 1, withDeleted: true })
+    const header = rows._header || await this.getHeader()
+    const existed = new Map(rows.map(row => [this.toText(row[field]), row]))
+    const inserts = []
+    const updates = []
+    data.forEach(item => {
+      const id = this.toText(item[field])
+      const row = id !== '' && existed.get(id)
+      if (row) updates.push({ row, item })
+      else inserts.push(item)
+    })
+
+    if (updates.length) {
+      const missing = []
+      updates.forEach(({ item }) => Object.keys(item).forEach(key => {
+        if (!header.includes(key) && !missing.includes(key)) missing.push(key)
+      }))
+      if (missing.length) {
+        header.push(...missing)
+        await this.updateHeader(header, options)
+      }
+      // Rows are updated such as "update" by the key, the values are set as-is
+      await this.writeUpdates(updates.map(({ row, item }) => {
+        const { [field]: id, ...update } = item
+        return { query: { [field]: id }, update: { $set: update }, rows: [row] }
+      }), header, options)
+    }
+    if (inserts.length) await this.insert(inserts, options)
+    return { insertedCount: inserts.length, updatedCount: updates.length }
+  }
+
+  /**
+   * Split rows into chunks by count and JSON size
+   *
+   * @param {Array} data
+   * @param {Number} size
+   * @param {Number} bytes
+   */
+  chunk (data, size, bytes) {
+    const chunks = []
+    let chunk = []
+    let length = 0
+    data.forEach(item => {
+      const itemLength = Buffer.byteLength(JSON.stringify(item))
+      if (chunk.length && (chunk.length >= size || length + itemLength > bytes)) {
+        chunks.push(chunk)
+        chunk = []
+        length = 0
+      }
+      chunk.push(item)
+      length += itemLength
+    })
+    if (chunk.length) chunks.push(chunk)
+    return chunks
+  }
+
+  /**
+   * Read text from string, buffer or stream
+   *
+   * @param {String|Buffer|Readable} source
+   */
+  async readSource (source) {
+    if (typeof source === 'string') return source
+    if (Buffer.isBuffer(source)) return source.toString('utf8')
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+      const buffers = []
+      for await (const chunk of source) buffers.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk))
+      return Buffer.concat(buffers).toString('utf8')
+    }
+    throw new Error('source must be a string, buffer, stream or array')
   }
 
   /**
@@ -148,9 +1486,10 @@ class Sheet {
    * Update header
    *
    * @param {Array} header
+   * @param {Object} options Write options, see "writeOptions"
    */
-  async updateHeader (header) {
-    return this.spreadsheet.update({ data: { 1: header }, sheet: this.options.sheet })
+  async updateHeader (header, options) {
+    return this.spreadsheet.update({ ...this.writeOptions(options), data: { 1: header }, sheet: this.options.sheet })
   }
 
   /**
@@ -163,54 +1502,156 @@ class Sheet {
   filterData (data, query, options) {
     if (!data.length) return data
     query = query || {}
-    const { skip = 0, limit = 0, sort } = options || {}
+    const { skip = 0, limit = 0, sort, projection } = options || {}
     const filterFn = this.buildFilterFn(query)
     const sortFn = this.buildSortFn(sort)
     const header = data._header
+    const cells = data._cells
     let result = data.filter(filterFn)
     if (sortFn) result.sort(sortFn)
-    if (skip > 0 || limit > 0) result = result.slice(skip, skip + limit)
+    if (skip > 0 || limit > 0) result = result.slice(skip, limit > 0 ? skip + limit : undefined)
+    if (cells) result = result.map(item => ({ ...item, ...cells.get(item._row) }))
+    if (projection) result = this.project(result, projection)
     if (header) result._header = header
     return result
   }
 
   /**
+   * Project fields of the rows
+   *
+   * @example
+   *  { name: 1, age: 1 } Only name and age
+   *  { secret: 0 } All fields except secret
+   *  { title: '$name' } name as title
+   *
+   * @param {Array} data
+   * @param {Object} projection
+   */
+  project (data, projection) {
+    const keys = Object.keys(projection).filter(key => key !== '_row')
+    const excludes = keys.filter(key => !projection[key])
+    if (excludes.length && excludes.length !== keys.length) throw new Error('projection can not mix including and excluding')
+    const includeRow = projection._row === undefined || !!projection._row
+
+    return data.map(item => {
+      let result = {}
+      if (includeRow && '_row' in item) result._row = item._row
+      if (excludes.length) {
+        result = { ...item }
+        if (!includeRow) delete result._row
+        excludes.forEach(key => delete result[key])
+      } else {
+        keys.forEach(key => {
+          const value = projection[key]
+          const field = typeof value === 'string' && value.charAt(0) === '$' ? value.slice(1) : key
+          if (field in item) result[key] = item[field]
+        })
+      }
+      return result
+    })
+  }
+
+  /**
+   * Build filter function to test the rows
    *
    * @param {Object} query
    */
   buildFilterFn (query) {
     const filter = this.buildFilter(query)
-    return function (item) {
-      return !filter.some(f => {
-        const { key, type, value } = f
-        const itemValue = item[key]
-
-        switch (type) {
-          case 'string':
-            return String(itemValue) !== String(value)
-          case 'pattern':
-            return !value.test(itemValue)
-          case 'contains':
-            return !itemValue.includes(value)
-          case 'gt':
-            return parseInt(itemValue) <= value
-          case 'lt':
-            return parseInt(itemValue) >= value
-          case 'gte':
-            return parseInt(itemValue) < value
-          case 'lte':
-            return parseInt(itemValue) > value
-          case 'empty':
-            return value ? !!itemValue : !itemValue
-          case 'function':
-            return !value(itemValue)
-          default:
-            return false
-        }
-      })
+    return item => this.testTerms(filter, item)
+  }
+
+  /**
+   * Test if the item matches all the terms
+   *
+   * @param {Array} terms
+   * @param {Object} item
+   */
+  testTerms (terms, item) {
+    return terms.every(term => this.testTerm(term, item))
+  }
+
+  /**
+   * Test if the item matches the term
+   *
+   * @param {Object} term
+   * @param {Object} item
+   */
+  testTerm (term, item) {
+    const { key, type, value } = term
+    const itemValue = item[key]
+    const typed = this.isComparable(key)
+
+    switch (type) {
+      case 'and':
+        return value.every(terms => this.testTerms(terms, item))
+      case 'or':
+        return value.some(terms => this.testTerms(terms, item))
+      case 'nor':
+        return !value.some(terms => this.testTerms(terms, item))
+      case 'not':
+        return !this.testTerms(value, item)
+      case 'string':
+        return this.isEqual(key, itemValue, value)
+      case 'ne':
+        return !this.isEqual(key, itemValue, value)
+      case 'in':
+        return value.some(v => v instanceof RegExp ? v.test(itemValue) : this.isEqual(key, itemValue, v))
+      case 'nin':
+        return !value.some(v => v instanceof RegExp ? v.test(itemValue) : this.isEqual(key, itemValue, v))
+      case 'exists': {
+        // Trailing empty cells are not returned, so empty cells do not exist either
+        const exists = itemValue !== undefined && itemValue !== null && itemValue !== ''
+        return value ? exists : !exists
+      }
+      case 'pattern':
+        return value.test(itemValue)
+      case 'contains':
+        return this.toText(itemValue).includes(value)
+      case 'startsWith':
+        return this.toText(itemValue).startsWith(value)
+      case 'endsWith':
+        return this.toText(itemValue).endsWith(value)
+      case 'gt':
+        return typed ? this.toComparable(key, itemValue) > this.toComparable(key, value) : !(parseInt(itemValue) <= value)
+      case 'lt':
+        return typed ? this.toComparable(key, itemValue) < this.toComparable(key, value) : !(parseInt(itemValue) >= value)
+      case 'gte':
+        return typed ? this.toComparable(key, itemValue) >= this.toComparable(key, value) : !(parseInt(itemValue) < value)
+      case 'lte':
+        return typed ? this.toComparable(key, itemValue) <= this.toComparable(key, value) : !(parseInt(itemValue) > value)
+      case 'empty': {
+        const empty = itemValue === undefined || itemValue === null || itemValue === ''
+        return value ? empty : !empty
+      }
+      case 'function':
+        return !!value(itemValue)
+      default:
+        return true
     }
   }
 
+  /**
+   * Check if the cell value equals the value
+   *
+   * @param {String} key
+   * @param {Mixed} itemValue
+   * @param {Mixed} value
+   */
+  isEqual (key, itemValue, value) {
+    if (this.isComparable(key)) return this.toComparable(key, itemValue) === this.toComparable(key, value)
+    return String(itemValue) === String(value)
+  }
+
+  /**
+   * Convert cell value to text
+   *
+   * @param {Mixed} value
+   */
+  toText (value) {
+    return String(value === undefined || value === null ? '' : value)
+  }
+
   /**
    * Build sort function to sort the rows
    *
@@ -218,18 +1659,27 @@ class Sheet {
    */
   buildSortFn (sort) {
     if (!sort || !Object.keys(sort).length) return
-    return function (a, b) {
+    return (a, b) => {
       for (let key in sort) {
         let av = a[key]
         let bv = b[key]
         const desc = sort[key] < 0
         let compareType = null
-        if ((/^\d+$/.test(av) && /^\d+$/.test(bv)) || (typeof av === 'number' && typeof bv === 'number')) {
+        if (this.isComparable(key) || (this.schema && this.schema.typeOf(key) === 'boolean')) {
+          compareType = 'number'
+          av = this.toComparable(key, av)
+          bv = this.toComparable(key, bv)
+          // Empty cells go last
+          if (isNaN(av) || isNaN(bv)) {
+            if (isNaN(av) && isNaN(bv)) continue
+            return isNaN(av) ? 1 : -1
+          }
+        } else if ((/^\d+$/.test(av) && /^\d+$/.test(bv)) || (typeof av === 'number' && typeof bv === 'number')) {
           compareType = 'number'
           if (typeof av !== 'number') av = parseInt(av)
           if (typeof bv !== 'number') bv = parseInt(bv)
         }
-        let n = compareType === 'number' ? av - bv : av.localeCompare(bv)
+        let n = compareType === 'number' ? av - bv : this.toText(av).localeCompare(this.toText(bv))
         if (desc && n !== 0) n = n > 0 ? -1 : 1
         if (n !== 0) return n
       }
@@ -237,9 +1687,35 @@ class Sheet {
     }
   }
 
+  /**
+   * Check if the field is declared as number or date
+   *
+   * @param {String} key
+   */
+  isComparable (key) {
+    const type = this.schema && this.schema.typeOf(key)
+    return type === 'number' || type === 'date'
+  }
+
+  /**
+   * Convert value to number with the declared type, NaN for empty
+   *
+   * @param {String} key
+   * @param {Mixed} value
+   */
+  toComparable (key, value) {
+    if (value === undefined || value === null || value === '') return NaN
+    const typed = this.schema.castValue(key, value, this.schemaOptions())
+    if (typed instanceof Date) return typed.getTime()
+    return Number(typed)
+  }
+
   /**
    * Build filter terms to filter
    *
+   * @example
+   *  { status: { $in: ['draft', 'review'] }, $or: [{ author: 'me' }, { public: 'yes' }] }
+   *
    * @param {Object} query
    */
   buildFilter (query) {
@@ -247,7 +1723,13 @@ class Sheet {
     if (!query) return terms
     Object.keys(query).forEach(key => {
       const term = query[key]
-      if (typeof term === 'string') {
+      if (['$or', '$and', '$nor'].includes(key)) {
+        if (!Array.isArray(term)) throw new Error(`${key} requires an array of queries`)
+        terms.push({
+          type: key.slice(1),
+          value: term.map(q => this.buildFilter(q))
+        })
+      } else if (typeof term === 'string') {
         if (term.includes('*')) {
           terms.push({
             key,
@@ -273,50 +1755,66 @@ class Sheet {
           type: 'pattern',
           value: term
         })
-      } else if (typeof term === 'object') {
+      } else if (term instanceof Date) {
+        terms.push({
+          key,
+          type: 'string',
+          value: term
+        })
+      } else if (term && typeof term === 'object') {
         Object.keys(term).forEach(op => {
           const value = term[op]
           switch (op) {
-            case '$contains':
+            case '$eq':
               terms.push({
                 key,
-                type: 'contains',
+                type: 'string',
                 value
               })
               break
-            case '$gt':
+            case '$contains':
+            case '$startsWith':
+            case '$endsWith':
               terms.push({
                 key,
-                type: 'gt',
-                value
+                type: op.slice(1),
+                value: String(value)
               })
               break
+            case '$gt':
             case '$lt':
+            case '$lte':
+            case '$gte':
+            case '$ne':
+            case '$empty':
+            case '$exists':
               terms.push({
                 key,
-                type: 'lt',
+                type: op.slice(1),
                 value
               })
               break
-            case '$lte':
+            case '$in':
+            case '$nin':
+              if (!Array.isArray(value)) throw new Error(`${op} requires an array`)
               terms.push({
                 key,
-                type: 'lte',
+                type: op.slice(1),
                 value
               })
               break
-            case '$gte':
+            case '$regex':
               terms.push({
                 key,
-                type: 'gte',
-                value
+                type: 'pattern',
+                value: value instanceof RegExp && !term.$options ? value : new RegExp(value instanceof RegExp ? value.source : value, term.$options)
               })
               break
-            case '$empty':
+            case '$not':
               terms.push({
                 key,
-                type: 'empty',
-                value
+                type: 'not',
+                value: this.buildFilter({ [key]: value })
               })
               break
           }
@@ -339,21 +1837,33 @@ class Sheet {
    * @param {Object} options
    */
   valuesToData (values, options) {
-    const { startRow, column, lowercase, header: includeHeader } = options || {}
+    const { startRow, column, lowercase, header: includeHeader, render } = options || {}
     if (!values || !values[0]) return []
-    const header = values[0].map(v => lowercase && v ? v.toLowerCase() : v)
+    // Cell objects are filtered with the text and attached after filtering
+    const cellRender = render === 'cell'
+    const toText = v => cellRender ? v && v.text : v
+    const header = Array.from(values[0], v => {
+      const h = toText(v)
+      return lowercase && h ? String(h).toLowerCase() : h
+    })
     const data = []
+    const cells = new Map()
     values.forEach((value, i) => {
-      if (i === 0 || value.join('') === '') return
+      if (i === 0 || Array.from(value, toText).join('') === '') return
       const json = { _row: startRow ? startRow + i - 1 : i + 1 }
+      const cell = {}
       value.forEach((v, j) => {
         const h = header[j]
-        if (h) json[h] = v || ''
-        if (column) json[this.columnToLetter(j + 1)] = v || ''
+        const text = toText(v)
+        if (h) json[h] = text === undefined || text === null ? '' : text
+        if (column) json[this.columnToLetter(j + 1)] = text === undefined || text === null ? '' : text
+        if (cellRender && h) cell[h] = v || null
       })
-      data.push(json)
+      if (cellRender) cells.set(json._row, cell)
+      data.push(this.schema ? this.schema.cast(json, this.schemaOptions()) : json)
     })
     if (includeHeader) data._header = header
+    if (cellRender) data._cells = cells
     return data
   }
 
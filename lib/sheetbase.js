@@ -1,3 +1,7 @@
+const EventEmitter = require('events')
+const Batch = require('./batch')
+const Drive = require('./drive')
+const Hooks = require('./hooks')
 const Sheet = require('./sheet')
 const Spreadsheet = require('./spreadsheet')
 
@@ -5,12 +9,19 @@ const Spreadsheet = require('./spreadsheet')
  * @summary
  * data internal properties
  * _line Line nu
+ *
+ * Emits `insert`, `update` and `delete`, all of them as `change`, for the rows
+ * written through the sheets (`source: 'local'`) and found by watchers
+ * (`source: 'watch'`).
  */
-class Sheetbase {
+class Sheetbase extends EventEmitter {
   constructor (options) {
+    super()
     this.options = options || {}
-    if (!options.spreadsheetId) throw new Error('spreadsheet is not found')
-    this.spreadsheet = new Spreadsheet(options)
+    this.spreadsheet = new Spreadsheet(this.options)
+    this.definitions = {}
+    this.hooks = new Hooks()
+    this.sheetHooks = {}
   }
 
   /**
@@ -21,15 +32,64 @@ class Sheetbase {
     return this.spreadsheet.getFileInfo()
   }
 
+  /**
+   * Get drive to export the spreadsheet
+   *
+   * @returns {Drive}
+   */
+  drive () {
+    if (!this._drive) this._drive = new Drive({ ...this.options, spreadsheet: this.spreadsheet })
+    return this._drive
+  }
+
+  /**
+   * Create a batch of writes across sheets, committed in a single request
+   *
+   * @returns {Batch}
+   */
+  batch () {
+    return new Batch({ spreadsheet: this.spreadsheet, sheetbase: this })
+  }
+
+  /**
+   * Add a hook run before the operation of all sheets, see "Hooks"
+   *
+   * @param {String} operation insert, update or delete
+   * @param {Function} fn
+   */
+  before (operation, fn) {
+    this.hooks.add('before', operation, fn)
+    return this
+  }
+
+  /**
+   * Add a hook run after the operation of all sheets, see "Hooks"
+   *
+   * @param {String} operation insert, update or delete
+   * @param {Function} fn
+   */
+  after (operation, fn) {
+    this.hooks.add('after', operation, fn)
+    return this
+  }
+
   /**
    * Get sheet
    *
+   * Options given for a sheet are kept, so later calls and references from
+   * other sheets get the same `schema` and `refs`, hooks added to the sheet
+   * are kept too.
+   *
    * @param {Mixed} sheet
+   * @param {Object} options Sheet options such as `schema` and `refs`
    * @returns
    */
-  sheet (sheet) {
+  sheet (sheet, options) {
     let spreadsheet = this.spreadsheet
-    return new Sheet({...this.options, sheet, spreadsheet})
+    const name = String(sheet === undefined || sheet === null ? 0 : sheet)
+    if (options) this.definitions[name] = { ...this.definitions[name], ...options }
+    if (!this.sheetHooks[name]) this.sheetHooks[name] = new Hooks()
+    return new Sheet({ ...this.options, ...this.definitions[name], sheet, spreadsheet, sheetbase: this, hooks: this.sheetHooks[name] })
   }
 }
 
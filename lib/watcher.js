@@ -0,0 +1,122 @@
+const EventEmitter = require('events')
+
+/**
+ * Watch the rows of a sheet by polling
+ *
+ * Snapshots of the rows matched the query are diffed by the key column, or
+ * `_row` if no key is configured, and `insert`, `update` and `delete` events
+ * are emitted with the rows before and after, all of them as `change` too.
+ *
+ * @example
+ *  const watcher = sheet.watch({ published: 'yes' }, change => {
+ *    // { type: 'update', sheet: 'posts', key: '12', before: {...}, after: {...}, source: 'watch' }
+ *  }, { interval: 60000, modifiedTime: true })
+ *  watcher.close()
+ */
+class Watcher extends EventEmitter {
+  /**
+   * @param {Sheet} sheet
+   * @param {Object} query
+   * @param {Object} options
+   *  - interval Polling interval in milliseconds, default 60000
+   *  - modifiedTime Read the rows only when the Drive `modifiedTime` of the spreadsheet changed
+   */
+  constructor (sheet, query, options) {
+    super()
+    this.sheet = sheet
+    this.query = query
+    this.options = { interval: 60000, modifiedTime: false, ...options }
+    this.snapshot = null
+    this.modifiedTime = null
+    this.timer = null
+    this.closed = false
+  }
+
+  /**
+   * Take the first snapshot and start polling
+   */
+  start () {
+    this.schedule(0)
+    return this
+  }
+
+  /**
+   * Stop polling
+   */
+  close () {
+    this.closed = true
+    clearTimeout(this.timer)
+  }
+
+  schedule (delay) {
+    if (this.closed) return
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll()
+      } catch (err) {
+        // Keep polling on errors such as network failures
+        if (this.listenerCount('error')) this.emit('error', err)
+      }
+      this.schedule(this.options.interval)
+    }, delay)
+  }
+
+  /**
+   * Read the rows and emit the changes since the last snapshot
+   *
+   * @returns {Array} Changes
+   */
+  async poll () {
+    const spreadsheet = this.sheet.spreadsheet
+    if (this.options.modifiedTime) {
+      const { modifiedTime } = await spreadsheet.getFileInfo()
+      if (this.snapshot && modifiedTime === this.modifiedTime) return []
+      this.modifiedTime = modifiedTime
+    }
+
+    const selectedSheet = await spreadsheet.getSheet(this.sheet.options.sheet)
+    if (!selectedSheet) throw new Error('sheet not found')
+    spreadsheet.invalidate(selectedSheet.id)
+    const rows = await this.sheet.find(this.query)
+    const changes = this.snapshot ? this.diff(this.snapshot, rows) : []
+    this.snapshot = rows
+
+    changes.forEach(change => {
+      if (this.closed) return
+      this.emit(change.type, change)
+      this.emit('change', change)
+      this.sheet.notify(change)
+    })
+    return changes
+  }
+
+  /**
+   * Diff the rows of two snapshots
+   *
+   * @param {Array} before
+   * @param {Array} after
+   */
+  diff (before, after) {
+    const sheet = this.sheet.options.sheet
+    const previous = new Map(before.map(item => [this.keyOf(item), item]))
+    const changes = []
+    after.forEach(item => {
+      const key = this.keyOf(item)
+      const old = previous.get(key)
+      previous.delete(key)
+      if (!old) changes.push({ type: 'insert', sheet, key, before: null, after: item, source: 'watch' })
+      else if (!this.sheet.isSameRow(old, item) || !this.sheet.isSameRow(item, old)) {
+        changes.push({ type: 'update', sheet, key, before: old, after: item, source: 'watch' })
+      }
+    })
+    previous.forEach((item, key) => changes.push({ type: 'delete', sheet, key, before: item, after: null, source: 'watch' }))
+    return changes
+  }
+
+  keyOf (item) {
+    const key = this.sheet.key
+    return key ? this.sheet.toText(item[key.field]) : item._row
+  }
+}
+
+module.exports = Watcher
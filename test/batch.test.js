@@ -0,0 +1,87 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+
+function createSheetbase (data) {
+  return new Sheetbase({ backend: new Sheetbase.MemoryBackend({ data }) })
+}
+
+const ROW = { at: '2020-01-31 08:00:00', day: '2020-01-31', n: '1,234', rate: '50%', text: "'007", f: '=1+1' }
+
+test('toCellData parses values such as Sheets', () => {
+  const backend = new Sheetbase.MemoryBackend()
+  assert.deepStrictEqual(backend.toCellData('2020-01-31 08:00:00'), {
+    userEnteredValue: { numberValue: 43861 + 8 / 24 },
+    userEnteredFormat: { numberFormat: { type: 'DATE_TIME', pattern: 'yyyy-mm-dd hh:mm:ss' } }
+  })
+  assert.deepStrictEqual(backend.toCellData('2020-01-31'), {
+    userEnteredValue: { numberValue: 43861 },
+    userEnteredFormat: { numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' } }
+  })
+  assert.deepStrictEqual(backend.toCellData('1/31/2020').userEnteredValue, { numberValue: 43861 })
+  assert.deepStrictEqual(backend.toCellData('31.01.2020', { locale: 'de_DE' }).userEnteredValue, { numberValue: 43861 })
+  assert.deepStrictEqual(backend.toCellData('1,234'), { userEnteredValue: { numberValue: 1234 } })
+  assert.deepStrictEqual(backend.toCellData('1.234,5', { locale: 'de_DE' }), { userEnteredValue: { numberValue: 1234.5 } })
+  assert.deepStrictEqual(backend.toCellData('12,5%', { locale: 'de_DE' }), {
+    userEnteredValue: { numberValue: 0.125 },
+    userEnteredFormat: { numberFormat: { type: 'PERCENT', pattern: '0.0%' } }
+  })
+  assert.deepStrictEqual(backend.toCellData('50%', { valueInputOption: 'RAW' }), { userEnteredValue: { stringValue: '50%' } })
+  assert.deepStrictEqual(backend.toCellData('2020-13-01'), { userEnteredValue: { stringValue: '2020-13-01' } })
+})
+
+test('batch writes the same cells as insert and update', async () => {
+  const inserted = createSheetbase({ sheets: [{ title: 'A', values: [['id', ...Object.keys(ROW)]] }] })
+  await inserted.sheet('A').insert({ id: '1', ...ROW })
+  await inserted.sheet('A').insert({ id: '2' })
+  await inserted.sheet('A').update({ id: '2' }, ROW)
+
+  const batched = createSheetbase({ sheets: [{ title: 'A', values: [['id', ...Object.keys(ROW)]] }] })
+  await batched.sheet('A').bulkWrite([
+    { insert: { data: [{ id: '1', ...ROW }, { id: '2' }] } },
+    { update: { query: { id: '2' }, update: ROW } }
+  ])
+
+  for (const render of ['value', 'text']) {
+    const expected = await inserted.spreadsheet.list({ sheet: 'A', render })
+    assert.deepStrictEqual(await batched.spreadsheet.list({ sheet: 'A', render }), expected)
+  }
+  assert.deepStrictEqual((await batched.spreadsheet.list({ sheet: 'A', render: 'value' }))[1], [1, 43861 + 8 / 24, 43861, 1234, 0.5, '007', '=1+1'])
+  assert.deepStrictEqual((await batched.spreadsheet.list({ sheet: 'A' }))[1], ['1', ...Object.values(ROW).slice(0, 2), '1234', '50%', '007', '=1+1'])
+})
+
+test('batch deletes contiguous rows as ranges from the bottom', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id'], ['1'], ['2'], ['3'], ['4'], ['5'], ['6']] }] })
+  const requests = []
+  const request = sheetbase.spreadsheet.request
+  sheetbase.spreadsheet.request = function (body) {
+    requests.push(...body.requests)
+    return request.apply(this, arguments)
+  }
+  const batch = sheetbase.batch()
+  batch.sheet('A').delete({ id: { $in: ['2', '3', '5'] } })
+  await batch.commit()
+  assert.deepStrictEqual(requests.map(request => request.deleteDimension.range).map(({ startIndex, endIndex }) => [startIndex, endIndex]), [[5, 6], [2, 4]])
+  assert.deepStrictEqual(await sheetbase.spreadsheet.list({ sheet: 'A' }), [['id'], ['1'], ['4'], ['6']])
+})
+
+test('batch checks the written rows with verify', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a'], ['2', 'b'], ['3', 'c']] }] })
+  const sheet = sheetbase.sheet('A', { verify: true })
+  let changed = false
+  sheet.before('update', async () => {
+    if (changed) return
+    changed = true
+    await sheetbase.spreadsheet.update({ data: { 2: ['1', 'changed'] }, sheet: 'A' })
+  })
+
+  await assert.rejects(sheet.bulkWrite([{ update: { query: { id: '1' }, update: { name: 'x' } } }, { delete: { query: { id: '3' } } }]), err => {
+    assert.ok(err instanceof Sheetbase.ConflictError)
+    assert.deepStrictEqual(err.rows, [2])
+    return true
+  })
+  assert.deepStrictEqual(await sheetbase.spreadsheet.list({ sheet: 'A' }), [['id', 'name'], ['1', 'changed'], ['2', 'b'], ['3', 'c']])
+
+  await sheet.bulkWrite([{ update: { query: { id: '1' }, update: { name: 'x' } } }, { delete: { query: { id: '3' } } }])
+  assert.deepStrictEqual(await sheetbase.spreadsheet.list({ sheet: 'A' }), [['id', 'name'], ['1', 'x'], ['2', 'b']])
+})
@@ -0,0 +1,104 @@
+const test = require('node:test')
+const assert = require('assert')
+const { spawn } = require('child_process')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+const BIN = path.join(__dirname, '../bin/sheetbase.js')
+
+// Stub the Google APIs in the CLI process, there is no network in tests
+const STUB = `
+const { google } = require(${JSON.stringify(require.resolve('googleapis'))})
+const GoogleApi = require(${JSON.stringify(path.join(__dirname, '../lib/googleapi'))})
+const rows = [['id', 'name'], ['1', 'Ann'], ['2', 'Bob']]
+google.auth.OAuth2.prototype.getToken = async code => ({ tokens: { access_token: 'token-' + code } })
+GoogleApi.prototype.call = async (fn, request) => {
+  if (fn === 'spreadsheets.get') {
+    return {
+      spreadsheetId: 'x',
+      properties: { title: 't', locale: 'en_US', timeZone: 'UTC' },
+      sheets: [{ properties: { sheetId: 0, title: 'users', index: 0, gridProperties: { rowCount: 3, columnCount: 2 } } }]
+    }
+  }
+  if (fn === 'spreadsheets.values.batchGet') {
+    return {
+      valueRanges: request.ranges.map(range => {
+        const [start, end] = range.split('!')[1].split(':').map(Number)
+        return { values: rows.slice(start - 1, end) }
+      })
+    }
+  }
+  if (fn === 'drive.files.get') return { id: 'x', name: 't' }
+  return {}
+}
+`
+
+function run (args, options) {
+  const { input, onStderr } = options || {}
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetbase-'))
+  fs.writeFileSync(path.join(dir, 'credentials.json'), JSON.stringify({ installed: { client_id: 'id', client_secret: 'secret' } }))
+  fs.writeFileSync(path.join(dir, 'token.json'), '{}')
+  const script = `${STUB}\nprocess.argv = [process.argv[0], ${JSON.stringify(BIN)}, ...${JSON.stringify(args)}]\nrequire(${JSON.stringify(BIN)})`
+  const child = spawn(process.execPath, ['-e', script], { cwd: dir, env: { ...process.env, SHEETBASE_SPREADSHEET_ID: 'x' } })
+  let stdout = ''
+  let stderr = ''
+  child.stdout.on('data', data => { stdout += data })
+  child.stderr.on('data', data => {
+    stderr += data
+    if (onStderr) onStderr(stderr)
+  })
+  child.stdin.end(input || '')
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => child.kill(), 30000)
+    child.on('error', reject)
+    child.on('close', code => {
+      clearTimeout(timer)
+      const token = fs.readFileSync(path.join(dir, 'token.json'), 'utf8')
+      fs.rmSync(dir, { recursive: true, force: true })
+      resolve({ code, stdout, stderr, token: JSON.parse(token) })
+    })
+  })
+}
+
+test('auth writes the token of the pasted redirect url', async () => {
+  const { code, stderr, token } = await run(['auth'], { input: 'http://localhost/?code=abc&scope=x\n' })
+  assert.strictEqual(code, 0)
+  assert.match(stderr, /access_type=offline/)
+  assert.match(stderr, /redirect_uri=http%3A%2F%2Flocalhost/)
+  assert.deepStrictEqual(token, { access_token: 'token-abc' })
+})
+
+test('auth --local receives the code with the local redirect', async () => {
+  let requested = false
+  const { code, token } = await run(['auth', '--local'], {
+    onStderr: stderr => {
+      const match = stderr.match(/redirect_uri=([^&\s]+)/)
+      if (!match || requested) return
+      requested = true
+      http.get(`${decodeURIComponent(match[1])}/?code=xyz`, res => res.resume())
+    }
+  })
+  assert.strictEqual(code, 0)
+  assert.deepStrictEqual(token, { access_token: 'token-xyz' })
+})
+
+test('sheets, find and export read the spreadsheet', async () => {
+  assert.strictEqual((await run(['sheets'])).stdout, '0\t0\tusers\t3x2\n')
+  assert.deepStrictEqual(JSON.parse((await run(['find', 'users', '{"id":"2"}'])).stdout), [{ _row: 3, id: '2', name: 'Bob' }])
+  assert.strictEqual((await run(['export', 'users', '--format', 'csv'])).stdout, 'id,name\n1,Ann\n2,Bob\n')
+})
+
+test('import reports the counts', async () => {
+  const { code, stderr } = await run(['import', 'users', '--format', 'json', '--mode', 'replace'], { input: '[{"id":"3"}]' })
+  assert.strictEqual(code, 0)
+  assert.match(stderr, /Imported 1 inserted, 0 updated, 2 deleted/)
+})
+
+test('errors exit with the message, unknown commands print the usage', async () => {
+  const failed = await run(['find', 'users', '{bad'])
+  assert.strictEqual(failed.code, 1)
+  assert.match(failed.stderr, /query is not valid JSON/)
+  assert.match((await run(['unknown'])).stdout, /^Usage: sheetbase <command>/)
+})
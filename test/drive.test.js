@@ -0,0 +1,64 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+
+const SPREADSHEET = {
+  spreadsheetId: 'x',
+  properties: { title: 't', locale: 'en_US', timeZone: 'UTC' },
+  sheets: [
+    { properties: { sheetId: 0, title: 'A', index: 0, gridProperties: { rowCount: 3, columnCount: 3 } } },
+    { properties: { sheetId: 123456, title: 'B', index: 1, gridProperties: { rowCount: 3, columnCount: 3 } } }
+  ]
+}
+
+function createDrive () {
+  const sheetbase = new Sheetbase({ spreadsheetId: 'x', credentials: { client_id: 'a', client_secret: 'b' }, token: {} })
+  const drive = sheetbase.drive()
+  drive.calls = []
+  drive.api.call = async (fn, request, options) => {
+    drive.calls.push([fn, request, options])
+    if (fn === 'spreadsheets.get') return SPREADSHEET
+    if (fn === 'spreadsheets.values.batchGet') return { valueRanges: [{ values: [['a', 'b'], ['1', '', 'x']] }] }
+    if (fn === 'drive.files.export') return new Uint8Array([1, 2]).buffer
+  }
+  drive.api.request = async options => {
+    drive.calls.push(['request', options])
+    return new Uint8Array([3]).buffer
+  }
+  return drive
+}
+
+test('exportFile exports the full spreadsheet with the Drive API', async () => {
+  const drive = createDrive()
+  assert.deepStrictEqual(await drive.exportFile(), Buffer.from([1, 2]))
+  assert.deepStrictEqual(drive.calls, [['drive.files.export', {
+    fileId: 'x',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }, { responseType: 'arraybuffer' }]])
+})
+
+test('exportFile exports a single sheet with the export url', async () => {
+  const drive = createDrive()
+  assert.deepStrictEqual(await drive.exportFile({ format: 'csv', sheet: 'B' }), Buffer.from([3]))
+  await drive.exportPdf({ sheet: 'B', stream: true })
+  await drive.exportHtml({ sheet: 'B' })
+  const requests = drive.calls.filter(([fn]) => fn === 'request').map(([, options]) => options)
+  assert.deepStrictEqual(requests, [
+    { url: 'https://docs.google.com/spreadsheets/d/x/export?format=csv&gid=123456', responseType: 'arraybuffer' },
+    { url: 'https://docs.google.com/spreadsheets/d/x/export?format=pdf&gid=123456', responseType: 'stream' },
+    { url: 'https://docs.google.com/spreadsheets/d/x/gviz/tq?tqx=out:html&gid=123456', responseType: 'arraybuffer' }
+  ])
+})
+
+test('exportFile can not select a sheet for xlsx and ods', async () => {
+  const drive = createDrive()
+  await assert.rejects(drive.exportFile({ format: 'xlsx', sheet: 'B' }), /format "xlsx" exports the full spreadsheet/)
+  await assert.rejects(drive.exportFile({ format: 'ods', sheet: 0 }), /format "ods" exports the full spreadsheet/)
+  await assert.rejects(drive.exportFile({ format: 'doc' }), /format "doc" is not supported/)
+  assert.deepStrictEqual(drive.calls, [])
+})
+
+test('exportText joins the cells with tabs', async () => {
+  const drive = createDrive()
+  assert.strictEqual(String(await drive.exportText({ sheet: 'A' })), 'a\tb\n1\t\tx')
+})
@@ -0,0 +1,86 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+
+function createSheetbase (sheets, options) {
+  const titles = Object.keys(sheets)
+  const spreadsheet = {
+    spreadsheetId: 'x',
+    properties: { title: 't', locale: 'en_US', timeZone: 'UTC' },
+    sheets: titles.map((title, index) => ({ properties: { sheetId: index, title, index, gridProperties: { rowCount: 3, columnCount: 2 } } }))
+  }
+  const sheetbase = new Sheetbase({ spreadsheetId: 'x', credentials: { client_id: 'a', client_secret: 'b' }, token: {}, ...options })
+  const backend = sheetbase.spreadsheet.backend
+  backend.calls = []
+  backend.api.call = async (fn, request) => {
+    backend.calls.push(fn === 'spreadsheets.values.batchGet' ? `${fn} ${request.ranges.join()}` : fn)
+    if (fn === 'spreadsheets.get') return spreadsheet
+    if (fn === 'spreadsheets.values.batchGet') return { valueRanges: request.ranges.map(range => ({ values: sheets[range.match(/^'(.*)'!/)[1]] })) }
+    if (fn === 'drive.files.get') return { version: '1' }
+    return {}
+  }
+  return sheetbase
+}
+
+test('list uses the loaded entry if the cache is invalidated meanwhile', async () => {
+  const sheetbase = createSheetbase({ A: [['id'], ['1']] })
+  const backend = sheetbase.spreadsheet.backend
+  const once = backend.cache.once.bind(backend.cache)
+  backend.cache.once = (key, fn) => once(key, fn).then(entry => {
+    // Such as a sheet added by another call while the metadata was fetched
+    backend.invalidate()
+    return entry
+  })
+  assert.deepStrictEqual(await backend.list({ sheet: 'A' }), [['id'], ['1']])
+})
+
+test('load fetches the values only with the values option', async () => {
+  const sheetbase = createSheetbase({ A: [['id'], ['1']] })
+  const { sheets } = await sheetbase.sheet('A').raw()
+  assert.deepStrictEqual(Object.keys(sheets[0]), ['id', 'title', 'index', 'type', 'rowCount', 'columnCount'])
+})
+
+test('rows are cached and only the written sheet is refetched', async () => {
+  const sheetbase = createSheetbase({ A: [['id'], ['1']], B: [['id'], ['2']] })
+  const backend = sheetbase.spreadsheet.backend
+  await sheetbase.sheet('A').find()
+  await sheetbase.sheet('B').find()
+  await sheetbase.sheet('A').find()
+  assert.deepStrictEqual(backend.calls, ['spreadsheets.get', "spreadsheets.values.batchGet 'A'!1:3", "spreadsheets.values.batchGet 'B'!1:3"])
+
+  backend.calls = []
+  await sheetbase.sheet('A').update({ id: '1' }, { id: '3' })
+  await sheetbase.sheet('A').find()
+  await sheetbase.sheet('B').find()
+  assert.deepStrictEqual(backend.calls, ['spreadsheets.values.batchUpdate', 'spreadsheets.get', "spreadsheets.values.batchGet 'A'!1:3"])
+})
+
+test('cache can be shared or disabled', async () => {
+  const cache = new Sheetbase.Cache()
+  const shared = [createSheetbase({ A: [['id']] }, { cache }), createSheetbase({ A: [['id']] }, { cache })]
+  for (const sheetbase of shared) await sheetbase.sheet('A').find()
+  assert.deepStrictEqual(shared.map(sheetbase => sheetbase.spreadsheet.backend.calls.length), [2, 0])
+
+  const disabled = createSheetbase({ A: [['id']] }, { cache: false })
+  await disabled.sheet('A').find()
+  await disabled.sheet('A').find()
+  assert.deepStrictEqual(disabled.spreadsheet.backend.calls.filter(fn => fn.startsWith('spreadsheets.values.batchGet')).length, 2)
+})
+
+test('stale data is returned while revalidated in background', async () => {
+  const sheetbase = createSheetbase({ A: [['id']] }, { cache: { ttl: 0, stale: 60000 } })
+  const backend = sheetbase.spreadsheet.backend
+  const loaded = await backend.load()
+  assert.strictEqual(await backend.load(), loaded)
+  await new Promise(resolve => setImmediate(resolve))
+  assert.deepStrictEqual(backend.calls, ['spreadsheets.get', 'spreadsheets.get'])
+  assert.notStrictEqual(await backend.load(), loaded)
+})
+
+test('expired data is kept if the file version is not changed', async () => {
+  const sheetbase = createSheetbase({ A: [['id']] }, { cache: { ttl: 0, checkVersion: true } })
+  const backend = sheetbase.spreadsheet.backend
+  await backend.load()
+  await backend.load()
+  assert.deepStrictEqual(backend.calls, ['drive.files.get', 'spreadsheets.get', 'drive.files.get'])
+})
@@ -0,0 +1,77 @@
+const test = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { google } = require('googleapis')
+const GoogleApi = require('../lib/googleapi')
+
+const CLIENT = { client_id: 'id', client_secret: 'secret', redirect_uris: ['http://localhost'] }
+const SERVICE_ACCOUNT = { type: 'service_account', client_email: 'sa@example.com', private_key: 'key', private_key_id: 'kid' }
+
+function tick () {
+  return new Promise(resolve => setImmediate(resolve))
+}
+
+test('OAuth2 client is created from the credentials and the token', () => {
+  const api = new GoogleApi({ credentials: { installed: CLIENT }, token: { access_token: 'a' } })
+  assert.ok(api.auth instanceof google.auth.OAuth2)
+  assert.strictEqual(api.auth._clientId, 'id')
+  assert.deepStrictEqual(api.auth.credentials, { access_token: 'a' })
+})
+
+test('service account client is created from the key', () => {
+  const api = new GoogleApi({ serviceAccount: SERVICE_ACCOUNT, subject: 'user@example.com' })
+  assert.ok(api.auth instanceof google.auth.JWT)
+  assert.deepStrictEqual([api.auth.email, api.auth.subject, api.auth.scopes], ['sa@example.com', 'user@example.com', GoogleApi.SCOPES])
+  assert.ok(new GoogleApi({ credentials: SERVICE_ACCOUNT }).auth instanceof google.auth.JWT)
+})
+
+test('auth client is used as is', () => {
+  const auth = new google.auth.OAuth2()
+  assert.strictEqual(new GoogleApi({ auth }).auth, auth)
+})
+
+test('writes are rejected with an API key', async () => {
+  const api = new GoogleApi({ apiKey: 'key' })
+  assert.strictEqual(api.auth.apiKey, 'key')
+  await assert.rejects(api.call('spreadsheets.batchUpdate', { spreadsheetId: 'x' }), /spreadsheets.batchUpdate is not allowed with api key/)
+  assert.strictEqual(await api.refreshToken(), undefined)
+})
+
+test('refreshed token is passed to onToken', async () => {
+  const tokens = []
+  const api = new GoogleApi({ credentials: CLIENT, token: { access_token: 'a', refresh_token: 'r' }, onToken: token => tokens.push(token) })
+  api.auth.emit('tokens', { access_token: 'b' })
+  await tick()
+  assert.deepStrictEqual(tokens, [{ access_token: 'b', refresh_token: 'r' }])
+})
+
+test('refreshed token is written to the token file it is read from', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetbase-'))
+  const tokenFile = path.join(dir, 'token.json')
+  fs.writeFileSync(tokenFile, JSON.stringify({ access_token: 'a', refresh_token: 'r' }))
+  try {
+    const api = new GoogleApi({ credentials: CLIENT, tokenFile })
+    api.auth.emit('tokens', { access_token: 'b' })
+    await tick()
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(tokenFile)), { access_token: 'b', refresh_token: 'r' })
+
+    // The token given as option is not written to the file
+    const given = new GoogleApi({ credentials: CLIENT, token: { access_token: 'c' }, tokenFile })
+    given.auth.emit('tokens', { access_token: 'd' })
+    await tick()
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(tokenFile)), { access_token: 'b', refresh_token: 'r' })
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('token save errors are logged', async t => {
+  const logged = t.mock.method(console, 'error', () => {})
+  const api = new GoogleApi({ credentials: CLIENT, token: {}, onToken: async () => { throw new Error('db down') } })
+  api.auth.emit('tokens', { access_token: 'b' })
+  await tick()
+  assert.strictEqual(logged.mock.calls.length, 1)
+  assert.strictEqual(logged.mock.calls[0].arguments[1].message, 'db down')
+})
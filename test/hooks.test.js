@@ -0,0 +1,68 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+
+function createSheetbase (data) {
+  return new Sheetbase({ backend: new Sheetbase.MemoryBackend({ data }) })
+}
+
+test('sheetbase hooks run before the sheet hooks and can change the data', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['email', 'name']] }] })
+  const calls = []
+  sheetbase.before('insert', ({ data }) => {
+    calls.push('sheetbase')
+    data.forEach(item => { item.email = item.email.toLowerCase() })
+  })
+  sheetbase.sheet('A').before('insert', ({ sheet, operation, data }) => {
+    calls.push(['sheet', sheet.options.sheet, operation, data.map(item => item.email)])
+  })
+  sheetbase.sheet('A').after('insert', ({ result }) => calls.push(['after', result.map(row => row._row)]))
+
+  await sheetbase.sheet('A').insert({ email: 'A@X', name: 'a' })
+  assert.deepStrictEqual(calls, ['sheetbase', ['sheet', 'A', 'insert', ['a@x']], ['after', [2]]])
+  assert.deepStrictEqual(await sheetbase.sheet('A').find(), [{ _row: 2, email: 'a@x', name: 'a' }])
+})
+
+test('update and delete hooks receive the query, update, rows and result', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['name', 'published'], ['a', 'yes'], ['b', 'no']] }] })
+  const sheet = sheetbase.sheet('A')
+  const calls = []
+  sheet.before('update', ({ query, update, rows }) => {
+    calls.push(['before update', query, rows.map(row => row._row)])
+    update.$set.published = 'no'
+  })
+  sheet.after('update', ({ update, result }) => calls.push(['after update', update, result]))
+  sheet.before('delete', context => {
+    context.rows = context.rows.filter(row => row.name !== 'b')
+  })
+  sheet.after('delete', ({ query, rows, result }) => calls.push(['after delete', query, rows.map(row => row._row), result]))
+
+  await sheet.updateMany({ name: 'a' }, { $set: { name: 'x' } })
+  await sheet.deleteMany({})
+  assert.deepStrictEqual(calls, [
+    ['before update', { name: 'a' }, [2]],
+    ['after update', { $set: { name: 'x', published: 'no' } }, { updatedRows: 1 }],
+    ['after delete', {}, [2], { ok: 1, deletedRowsCount: 1, deletedColumnsCount: 0 }]
+  ])
+  assert.deepStrictEqual(await sheet.find(), [{ _row: 2, name: 'b', published: 'no' }])
+})
+
+test('a hook throwing aborts the operation', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['name', 'published'], ['a', 'yes']] }] })
+  const sheet = sheetbase.sheet('A')
+  const after = []
+  sheet.before('delete', ({ rows }) => {
+    if (rows.some(row => row.published === 'yes')) throw new Error('published rows can not be deleted')
+  })
+  sheet.after('delete', () => after.push('delete'))
+
+  await assert.rejects(sheet.deleteOne({ name: 'a' }), /published rows can not be deleted/)
+  assert.deepStrictEqual(after, [])
+  assert.deepStrictEqual(await sheet.find(), [{ _row: 2, name: 'a', published: 'yes' }])
+})
+
+test('hooks are checked when added', () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['name']] }] })
+  assert.throws(() => sheetbase.sheet('A').before('find', () => {}), /unknown hook operation "find"/)
+  assert.throws(() => sheetbase.after('insert', null), /hook must be a function/)
+})
@@ -0,0 +1,25 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+
+test('memory backend keeps RAW strings as strings', async () => {
+  const sheetbase = new Sheetbase({ backend: 'memory' })
+  const sheet = sheetbase.sheet()
+  await sheet.insert({ code: '007', text: '=1+1', n: 7 }, { valueInputOption: 'RAW' })
+  await sheet.insert({ code: '007', text: '=1+1', n: 7 })
+  await sheet.insert({ code: '-5', text: '=1+1' }, { safe: true })
+  const values = await sheetbase.spreadsheet.list({ render: 'value' })
+  assert.deepStrictEqual(values.slice(1), [['007', '=1+1', 7], [7, '=1+1', 7], ['-5', '=1+1']])
+  const cells = await sheetbase.spreadsheet.list({ render: 'cell' })
+  assert.strictEqual(cells[1][1].formula, undefined)
+  assert.strictEqual(cells[2][1].formula, '=1+1')
+  assert.strictEqual(cells[3][1].formula, undefined)
+})
+
+test('memory backend loads the values only with the values option', async () => {
+  const sheetbase = new Sheetbase({ backend: 'memory', data: { sheets: [{ title: 'A', values: [['id'], [1]] }] } })
+  const { sheets } = await sheetbase.sheet('A').raw()
+  assert.deepStrictEqual(Object.keys(sheets[0]), ['id', 'title', 'index', 'type', 'rowCount', 'columnCount'])
+  const loaded = await sheetbase.spreadsheet.load({ values: true })
+  assert.deepStrictEqual(loaded.sheets[0].values, [[{ text: 'id', value: 'id' }], [{ text: '1', value: 1 }]])
+})
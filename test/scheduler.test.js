@@ -0,0 +1,92 @@
+const test = require('node:test')
+const assert = require('assert')
+const Scheduler = require('../lib/scheduler')
+
+function createError (status, headers) {
+  const err = new Error(`status ${status}`)
+  err.response = { status, headers: headers || {} }
+  return err
+}
+
+function failing (errors, result) {
+  const task = async () => {
+    task.calls++
+    if (errors.length) throw errors.shift()
+    return result
+  }
+  task.calls = 0
+  return task
+}
+
+function createScheduler (options) {
+  const scheduler = new Scheduler(options)
+  scheduler.delays = []
+  scheduler.sleep = async ms => scheduler.delays.push(ms)
+  return scheduler
+}
+
+test('idempotent tasks are retried on server and network errors', async () => {
+  const scheduler = createScheduler()
+  const network = Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+  const task = failing([createError(503), network], 'ok')
+  assert.strictEqual(await scheduler.run(task, { idempotent: true }), 'ok')
+  assert.strictEqual(task.calls, 3)
+})
+
+test('other tasks are only retried on 429', async () => {
+  const scheduler = createScheduler()
+  const task = failing([createError(429), createError(503)], 'ok')
+  await assert.rejects(scheduler.run(task), /status 503/)
+  assert.strictEqual(task.calls, 2)
+  assert.strictEqual(await scheduler.run(failing([createError(429)], 'ok')), 'ok')
+})
+
+test('tasks are retried up to the retries', async () => {
+  const scheduler = createScheduler({ retry: { retries: 2 } })
+  const task = failing([createError(500), createError(500), createError(500)], 'ok')
+  await assert.rejects(scheduler.run(task, { idempotent: true }), /status 500/)
+  assert.strictEqual(task.calls, 3)
+
+  const disabled = createScheduler({ retry: false })
+  await assert.rejects(disabled.run(failing([createError(429)], 'ok')), /status 429/)
+})
+
+test('backoff is exponential with full jitter up to maxDelay', async t => {
+  t.mock.method(Math, 'random', () => 1)
+  const scheduler = createScheduler({ retry: { retries: 5, minDelay: 100, maxDelay: 1000 } })
+  const errors = Array.from({ length: 5 }, () => createError(503))
+  await scheduler.run(failing(errors, 'ok'), { idempotent: true })
+  assert.deepStrictEqual(scheduler.delays, [100, 200, 400, 800, 1000])
+})
+
+test('Retry-After is used as the delay', () => {
+  const scheduler = createScheduler()
+  assert.strictEqual(scheduler.getDelay(createError(429, { 'retry-after': '2' }), 0), 2000)
+  const date = new Date(Date.now() + 60000).toUTCString()
+  const delay = scheduler.getDelay(createError(429, { get: name => name === 'retry-after' ? date : null }), 0)
+  assert.ok(delay > 58000 && delay <= 60000, `delay ${delay}`)
+})
+
+test('token bucket waits for the refill of each key', async () => {
+  const scheduler = createScheduler({ rateLimit: { requests: 2, interval: 1000 } })
+  await scheduler.take('a')
+  await scheduler.take('a')
+  await scheduler.take('b')
+  assert.deepStrictEqual(scheduler.delays, [])
+  await scheduler.take('a')
+  assert.strictEqual(scheduler.delays.length, 1)
+  assert.ok(scheduler.delays[0] > 490 && scheduler.delays[0] <= 500, `delay ${scheduler.delays[0]}`)
+})
+
+test('a throttled key does not block the other keys', async () => {
+  const scheduler = new Scheduler({ concurrency: 1, rateLimit: { requests: 1, interval: 200 } })
+  const done = []
+  const task = name => () => new Promise(resolve => setTimeout(() => resolve(done.push(name)), 10))
+  await Promise.all([
+    scheduler.run(task('a1'), { key: 'a' }),
+    scheduler.run(task('a2'), { key: 'a' }),
+    scheduler.run(task('b1'), { key: 'b' })
+  ])
+  assert.deepStrictEqual(done, ['a1', 'b1', 'a2'])
+  assert.strictEqual(scheduler.running, 0)
+})
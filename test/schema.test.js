@@ -0,0 +1,30 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+
+function createSheetbase (data) {
+  return new Sheetbase({ backend: new Sheetbase.MemoryBackend({ data }) })
+}
+
+test('number fields are parsed with the spreadsheet locale', async () => {
+  const sheetbase = createSheetbase({ locale: 'de_DE', sheets: [{ title: 'A', values: [['id', 'n'], ['1', '1,5'], ['2', '1.234,5']] }] })
+  const sheet = sheetbase.sheet('A', { schema: { n: 'number' } })
+  assert.deepStrictEqual((await sheet.find({})).map(row => row.n), [1.5, 1234.5])
+
+  await sheet.update({ id: '1' }, { n: { $inc: 1 } })
+  assert.strictEqual((await sheet.findOne({ id: '1' })).n, 2.5)
+
+  await sheet.insert({ id: '3', n: '2,25' })
+  assert.strictEqual((await sheet.findOne({ id: '3' })).n, 2.25)
+})
+
+test('number fields are parsed with group separators in en_US', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['n'], ['1,234.5'], ['-2']] }] })
+  const sheet = sheetbase.sheet('A', { schema: { n: 'number' } })
+  assert.deepStrictEqual((await sheet.find({})).map(row => row.n), [1234.5, -2])
+})
+
+test('schema without sheet strips commas', () => {
+  const schema = new Sheetbase.Schema({ n: 'number' })
+  assert.strictEqual(schema.castValue('n', '1,234'), 1234)
+})
@@ -0,0 +1,217 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+
+function createSheetbase (data) {
+  return new Sheetbase({ backend: new Sheetbase.MemoryBackend({ data }) })
+}
+
+test('update on a sheet without header with managed columns', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [] }] })
+  for (const options of [{ timestamps: true }, { revision: true }]) {
+    const sheet = sheetbase.sheet('A', options)
+    assert.deepStrictEqual(await sheet.update({ id: '1' }, { name: 'n' }), { updatedRows: 0 })
+    assert.deepStrictEqual(await sheet.updateOne({ id: '1' }, { name: 'n' }), { matchedCount: 0, modifiedCount: 0, rows: [] })
+  }
+})
+
+test('updateMany counts typed fields with the same values as not modified', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'meta', 'at', 'ok', 'n'], ['1', '{"a":1}', '2020-01-31T00:00:00.000Z', 'TRUE', '1.5']] }] })
+  const sheet = sheetbase.sheet('A', { schema: { meta: 'json', at: 'date', ok: 'boolean', n: 'number' } })
+  const same = { meta: { a: 1 }, at: new Date('2020-01-31T00:00:00Z'), ok: true, n: 1.5 }
+  assert.deepStrictEqual(await sheet.updateMany({ id: '1' }, same), { matchedCount: 1, modifiedCount: 0, rows: [2] })
+  assert.deepStrictEqual(await sheet.updateMany({ id: '1' }, { meta: { a: 2 } }), { matchedCount: 1, modifiedCount: 1, rows: [2] })
+})
+
+test('findOneAndUpdate returns the typed row after the update', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'meta', 'n'], ['1', '{"a":1}', '1']] }] })
+  const sheet = sheetbase.sheet('A', { schema: { meta: 'json', n: 'number' } })
+  const row = await sheet.findOneAndUpdate({ id: '1' }, { meta: { b: 2 }, n: { $inc: 1 } }, { returnDocument: 'after' })
+  assert.deepStrictEqual(row, { _row: 2, id: '1', meta: { b: 2 }, n: 2 })
+  assert.deepStrictEqual(row, await sheet.findOne({ id: '1' }))
+})
+
+test('update and insert write numbers as numbers in safe mode', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'n']] }] })
+  const sheet = sheetbase.sheet('A', { safe: true })
+  await sheet.insert([{ id: 'a', n: -5 }, { id: 'b', n: 1 }])
+  await sheet.update({ id: 'b' }, { n: -5 })
+  await sheet.update({ id: 'b' }, { id: '-b' })
+  const values = await sheetbase.spreadsheet.list({ sheet: 'A', render: 'value' })
+  assert.deepStrictEqual(values.slice(1), [['a', -5], ['-b', -5]])
+})
+
+test('new header keys are escaped in safe mode', async () => {
+  const key = '=HYPERLINK("http://evil")'
+  for (const write of [
+    sheet => sheet.insert({ [key]: '=1+1' }),
+    sheet => sheet.bulkWrite([{ insert: { data: [{ [key]: '=1+1' }] } }])
+  ]) {
+    const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id']] }] })
+    await write(sheetbase.sheet('A', { safe: true }))
+    const [header, row] = await sheetbase.spreadsheet.list({ sheet: 'A', render: 'cell' })
+    assert.deepStrictEqual([header[1].formula, header[1].value], [undefined, key])
+    assert.deepStrictEqual([row[1].formula, row[1].value], [undefined, '=1+1'])
+  }
+})
+
+test('flush writes the same cells as insert', async () => {
+  const ROW = { at: '2020-01-31 08:00:00', day: '2020-01-31', n: '1,234', rate: '50%', text: "'007", f: '=1+1' }
+  const inserted = createSheetbase({ sheets: [{ title: 'A', values: [] }] })
+  await inserted.sheet('A').insert([{ id: '1', ...ROW }, { id: '2', rate: '12.5%' }])
+
+  const flushed = createSheetbase({ sheets: [{ title: 'A', values: [['old'], ['x']] }] })
+  await flushed.sheet('A').flush([{ id: '1', ...ROW }, { id: '2', rate: '12.5%' }])
+
+  for (const render of ['value', 'text']) {
+    assert.deepStrictEqual(await flushed.spreadsheet.list({ sheet: 'A', render }), await inserted.spreadsheet.list({ sheet: 'A', render }))
+  }
+})
+
+test('$exists matches cells with a value', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['a', 'b', 'c'], ['1'], ['2', '', 'x'], ['3', 'y']] }] })
+  const sheet = sheetbase.sheet('A')
+  assert.deepStrictEqual(await sheet.find({ b: { $exists: true } }), [{ _row: 4, a: '3', b: 'y' }])
+  assert.deepStrictEqual(await sheet.find({ b: { $exists: false } }), [{ _row: 2, a: '1' }, { _row: 3, a: '2', b: '', c: 'x' }])
+  assert.deepStrictEqual(await sheet.find({ d: { $exists: true } }), [])
+})
+
+test('aggregate parses numbers with the spreadsheet locale', async () => {
+  const sheetbase = createSheetbase({ locale: 'de_DE', sheets: [{ title: 'A', values: [['g', 'n'], ['a', '1,5'], ['a', '1.234,5'], ['a', '10']] }] })
+  const sheet = sheetbase.sheet('A')
+  const result = await sheet.aggregate([{ $group: { _id: '$g', sum: { $sum: '$n' }, avg: { $avg: '$n' }, max: { $max: '$n' } } }])
+  assert.deepStrictEqual(result, [{ _id: 'a', sum: 1246, avg: 1246 / 3, max: '1.234,5' }])
+})
+
+test('import replace keeps the old rows if the request fails', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a'], ['2', 'b']] }] })
+  const sheet = sheetbase.sheet('A')
+  const request = sheetbase.spreadsheet.request
+  sheetbase.spreadsheet.request = async () => { throw new Error('quota exceeded') }
+  await assert.rejects(sheet.import('id,age\n3,30\n', { mode: 'replace' }), /quota exceeded/)
+  sheetbase.spreadsheet.request = request
+  assert.deepStrictEqual(await sheetbase.spreadsheet.list({ sheet: 'A' }), [['id', 'name'], ['1', 'a'], ['2', 'b']])
+
+  assert.deepStrictEqual(await sheet.import('id,age\n3,30\n', { mode: 'replace' }), { insertedCount: 1, updatedCount: 0, deletedCount: 2 })
+  assert.deepStrictEqual(await sheet.find({}, { header: 1 }), Object.assign([{ _row: 2, id: '3', name: '', age: '30' }], { _header: ['id', 'name', 'age'] }))
+})
+
+test('import upsert updates rows with the update hooks, verify and change events', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a'], ['2', 'b']] }] })
+  const sheet = sheetbase.sheet('A', { key: 'id', verify: true })
+  const calls = []
+  sheet.before('update', ({ query, update }) => calls.push(['before', query, update]))
+  sheet.after('update', ({ result }) => calls.push(['after', result]))
+  sheetbase.on('change', ({ type, before, after }) => calls.push([type, before && before.name, after.name]))
+
+  assert.deepStrictEqual(await sheet.import('id,name\n1,x\n3,z\n', { mode: 'upsert' }), { insertedCount: 1, updatedCount: 1, deletedCount: 0 })
+  assert.deepStrictEqual(calls, [
+    ['before', { id: '1' }, { $set: { name: 'x' } }],
+    ['update', 'a', 'x'],
+    ['after', { updatedRows: 1 }],
+    ['insert', null, 'z']
+  ])
+
+  sheet.before('update', () => sheetbase.spreadsheet.update({ data: { 2: ['1', 'changed'] }, sheet: 'A' }))
+  await assert.rejects(sheet.import('id,name\n1,y\n', { mode: 'upsert' }), Sheetbase.ConflictError)
+  assert.deepStrictEqual(await sheetbase.spreadsheet.list({ sheet: 'A' }), [['id', 'name'], ['1', 'changed'], ['2', 'b'], ['3', 'z']])
+})
+
+test('populate attaches the referenced rows', async () => {
+  const sheetbase = createSheetbase({
+    sheets: [
+      { title: 'authors', values: [['id', 'name'], ['1', 'Ann'], ['2', 'Bob']] },
+      { title: 'articles', values: [['id', 'author_id', 'editor_id', 'reviewers'], ['a', '1', '2', '["1","2"]'], ['b', '3', '1', '[]']] }
+    ]
+  })
+  const articles = sheetbase.sheet('articles', {
+    schema: { reviewers: 'json' },
+    refs: {
+      author_id: { sheet: 'authors', key: 'id', as: 'author' },
+      editor_id: 'authors',
+      reviewers: 'authors'
+    }
+  })
+  const ann = { _row: 2, id: '1', name: 'Ann' }
+  const bob = { _row: 3, id: '2', name: 'Bob' }
+
+  const rows = await articles.find({}, { populate: ['author_id', 'editor_id', 'reviewers'] })
+  assert.deepStrictEqual(rows, [
+    { _row: 2, id: 'a', author_id: '1', author: ann, editor_id: bob, reviewers: [ann, bob] },
+    { _row: 3, id: 'b', author_id: '3', author: null, editor_id: ann, reviewers: [] }
+  ])
+  assert.deepStrictEqual(await articles.findOne({ id: 'b' }, { populate: 'editor_id' }), { _row: 3, id: 'b', author_id: '3', editor_id: ann, reviewers: [] })
+  await assert.rejects(articles.find({}, { populate: ['id'] }), /no reference declared for id/)
+})
+
+test('key is required, unique and generated on create', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a']] }, { title: 'B', values: [['id', 'name'], ['7', 'a']] }] })
+  const required = sheetbase.sheet('A', { key: 'id' })
+  await assert.rejects(required.create({ name: 'b' }), Sheetbase.ValidationError)
+  await assert.rejects(required.create({ id: '1', name: 'b' }), err => err instanceof Sheetbase.DuplicateKeyError && err.values[0] === '1')
+  await assert.rejects(required.create([{ id: '2' }, { id: '2' }]), Sheetbase.DuplicateKeyError)
+
+  const increment = sheetbase.sheet('B', { key: { field: 'id', generate: 'increment' } })
+  await increment.create([{ name: 'b' }, { name: 'c' }])
+  assert.deepStrictEqual((await increment.find()).map(row => row.id), ['7', '8', '9'])
+
+  const uuid = sheetbase.sheet('A', { key: { field: 'id', generate: 'uuid' } })
+  const [row] = await uuid.create({ name: 'u' })
+  assert.match(row.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+})
+
+test('rows are found, updated and deleted by the key', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a'], ['2', 'b']] }] })
+  const sheet = sheetbase.sheet('A', { key: 'id' })
+  assert.deepStrictEqual(await sheet.findById('2'), { _row: 3, id: '2', name: 'b' })
+  assert.deepStrictEqual(await sheet.updateById('2', { name: 'x' }), { updatedRows: 1 })
+  await assert.rejects(sheet.updateById('2', { id: '1' }), Sheetbase.DuplicateKeyError)
+  await assert.rejects(sheet.updateById('2', { id: { $inc: 1 } }), /key can only be updated with a value/)
+  await sheet.deleteById('1')
+  assert.deepStrictEqual(await sheet.find(), [{ _row: 2, id: '2', name: 'x' }])
+  assert.throws(() => sheet.findById(''), /no id specified/)
+  assert.throws(() => sheetbase.sheet('A', { key: null }).findById('1'), /no key configured/)
+})
+
+test('upsert updates the matched rows or inserts the equality fields', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['email', 'visits'], ['a@x', '1']] }] })
+  const sheet = sheetbase.sheet('A')
+  assert.deepStrictEqual(await sheet.upsert({ email: 'a@x' }, { visits: { $inc: 1 } }), { upserted: false, updatedRows: 1 })
+  assert.deepStrictEqual(await sheet.upsert({ email: { $eq: 'b@x' }, visits: { $gt: 0 } }, { visits: { $inc: 1 } }), {
+    upserted: true,
+    row: { _row: 3, email: 'b@x', visits: 1 }
+  })
+  assert.deepStrictEqual(await sheet.find(), [{ _row: 2, email: 'a@x', visits: '2' }, { _row: 3, email: 'b@x', visits: '1' }])
+})
+
+test('verify throws a conflict if the rows changed since they were read', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a'], ['2', 'b']] }] })
+  const sheet = sheetbase.sheet('A', { verify: true })
+  let edits = 1
+  const edit = () => edits-- > 0 && sheetbase.spreadsheet.update({ data: { 2: ['1', 'changed'] }, sheet: 'A' })
+  sheet.before('update', edit)
+  sheet.before('delete', edit)
+
+  const err = await sheet.updateOne({ id: '1' }, { $set: { name: 'x' } }).catch(err => err)
+  assert.ok(err instanceof Sheetbase.ConflictError)
+  assert.deepStrictEqual(err.rows, [2])
+  assert.deepStrictEqual(await sheet.updateOne({ id: '1' }, { $set: { name: 'x' } }), { matchedCount: 1, modifiedCount: 1, rows: [2] })
+
+  edits = 1
+  await assert.rejects(sheet.deleteOne({ id: '1' }), Sheetbase.ConflictError)
+  assert.deepStrictEqual(await sheet.deleteOne({ id: '1' }), { deletedCount: 1, rows: [2] })
+  assert.deepStrictEqual(await sheet.find(), [{ _row: 2, id: '2', name: 'b' }])
+})
+
+test('revision is set on create and incremented on update', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name']] }] })
+  const sheet = sheetbase.sheet('A', { revision: true })
+  await sheet.create({ id: '1', name: 'a' })
+  assert.deepStrictEqual(await sheet.findOne({ id: '1' }), { _row: 2, id: '1', name: 'a', _rev: '1' })
+  await sheet.updateOne({ id: '1' }, { $set: { name: 'a' } })
+  await sheet.updateOne({ id: '1' }, { $set: { name: 'b' } })
+  assert.deepStrictEqual(await sheet.findOne({ id: '1' }), { _row: 2, id: '1', name: 'b', _rev: '3' })
+
+  sheet.before('update', () => sheetbase.spreadsheet.update({ data: { 2: ['1', 'b', '4'] }, sheet: 'A' }))
+  await assert.rejects(sheet.updateOne({ id: '1' }, { $set: { name: 'c' } }), Sheetbase.ConflictError)
+})
@@ -0,0 +1,89 @@
+const test = require('node:test')
+const assert = require('assert')
+const Sheetbase = require('..')
+const Watcher = require('../lib/watcher')
+
+function createSheetbase (data) {
+  return new Sheetbase({ backend: new Sheetbase.MemoryBackend({ data }) })
+}
+
+test('watch emits the rows inserted and updated since the last poll by the key', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a'], ['2', 'b']] }] })
+  const sheet = sheetbase.sheet('A', { key: 'id' })
+  const changes = []
+  const watched = []
+  sheetbase.on('change', change => changes.push(change))
+  const watcher = new Watcher(sheet, {})
+  watcher.on('change', change => watched.push(change))
+
+  assert.deepStrictEqual(await watcher.poll(), [])
+  await sheetbase.spreadsheet.update({ data: { 2: ['2', 'b'], 3: ['3', 'c'] }, sheet: 'A' })
+  await sheetbase.spreadsheet.update({ data: { 4: ['1', 'x'] }, sheet: 'A' })
+  await watcher.poll()
+
+  assert.deepStrictEqual(watched, [
+    { type: 'insert', sheet: 'A', key: '3', before: null, after: { _row: 3, id: '3', name: 'c' }, source: 'watch' },
+    { type: 'update', sheet: 'A', key: '1', before: { _row: 2, id: '1', name: 'a' }, after: { _row: 4, id: '1', name: 'x' }, source: 'watch' }
+  ])
+  assert.deepStrictEqual(changes, watched)
+})
+
+test('watch diffs by row no without a key and emits deletes', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['name'], ['a'], ['b']] }] })
+  const sheet = sheetbase.sheet('A')
+  const watcher = new Watcher(sheet, { name: { $ne: 'x' } })
+  const deleted = []
+  watcher.on('delete', change => deleted.push(change))
+
+  await watcher.poll()
+  await sheetbase.spreadsheet.update({ data: { 3: ['x'] }, sheet: 'A' })
+  assert.deepStrictEqual(await watcher.poll(), [
+    { type: 'delete', sheet: 'A', key: 3, before: { _row: 3, name: 'b' }, after: null, source: 'watch' }
+  ])
+  assert.deepStrictEqual(deleted.map(change => change.key), [3])
+})
+
+test('watch polls until closed and reads only when modified', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['name'], ['a']] }] })
+  const sheet = sheetbase.sheet('A')
+  let reads = 0
+  const list = sheetbase.spreadsheet.list.bind(sheetbase.spreadsheet)
+  sheetbase.spreadsheet.list = options => {
+    reads++
+    return list(options)
+  }
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+  const changes = []
+  const watcher = sheet.watch({}, change => changes.push(change.after.name), { interval: 10, modifiedTime: true })
+
+  await wait(50)
+  const idle = reads
+  await wait(50)
+  assert.strictEqual(reads, idle)
+
+  await sheet.insert({ name: 'b' })
+  await wait(50)
+  watcher.close()
+  await sheetbase.spreadsheet.update({ data: { 4: ['c'] }, sheet: 'A' })
+  await wait(50)
+  assert.deepStrictEqual(changes, ['b'])
+})
+
+test('writes through the sheets emit local change events', async () => {
+  const sheetbase = createSheetbase({ sheets: [{ title: 'A', values: [['id', 'name'], ['1', 'a']] }] })
+  const sheet = sheetbase.sheet('A', { key: 'id' })
+  const changes = []
+  const updates = []
+  sheetbase.on('change', ({ type, key, before, after, source }) => changes.push([type, key, before && before.name, after && after.name, source]))
+  sheetbase.on('update', ({ key }) => updates.push(key))
+
+  await sheet.insert({ id: '2', name: 'b' })
+  await sheet.updateOne({ id: '1' }, { $set: { name: 'x' } })
+  await sheet.deleteOne({ id: '2' })
+  assert.deepStrictEqual(changes, [
+    ['insert', '2', null, 'b', 'local'],
+    ['update', '1', 'a', 'x', 'local'],
+    ['delete', '2', 'b', null, 'local']
+  ])
+  assert.deepStrictEqual(updates, ['1'])
+})